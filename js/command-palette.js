@@ -0,0 +1,241 @@
+// js/command-palette.js
+// Palette dei comandi (Ctrl/Cmd+K) e finestra di aiuto con le scorciatoie da tastiera.
+// - filterCommands(commands, query): pure function (tutte le parole della ricerca devono comparire
+//   in label o keywords, senza distinzione di maiuscole/accenti; prima i comandi che iniziano con la ricerca)
+// - createCommandPalette({ getCommands }): combobox + listbox; getCommands() viene chiamata a ogni apertura,
+//   così l'elenco segue catalogo, stato del form e lingua correnti
+// - createShortcutHelp({ getShortcuts }): elenco delle scorciatoie [{ keys, label }]
+// Comando: { id, label, keywords, shortcut, run() } (run può essere async).
+
+import { escapeHtml } from './utils.js';
+import { t } from './i18n.js';
+
+const MAX_RESULTS = 50;
+
+export function isMacPlatform() {
+  const nav = typeof navigator !== 'undefined' ? navigator : {};
+  return /Mac|iPhone|iPad|iPod/i.test((nav.userAgentData && nav.userAgentData.platform) || nav.platform || nav.userAgent || '');
+}
+
+// "Mod+K" -> "Ctrl+K" (o "⌘+K" su Apple); "Alt+Shift+O" -> "⌥+⇧+O" su Apple
+export function formatShortcut(keys, { mac = isMacPlatform() } = {}) {
+  const names = mac
+    ? { Mod: '⌘', Alt: '⌥', Shift: '⇧', Ctrl: '⌃' }
+    : { Mod: 'Ctrl', Alt: 'Alt', Shift: 'Shift', Ctrl: 'Ctrl' };
+  return String(keys).split('+').map(k => names[k] || k).join('+');
+}
+
+function normalize(text) {
+  return String(text || '').normalize('NFD').replace(/[̀-ͯ]/g, '').toLowerCase();
+}
+
+/**
+ * filterCommands(commands, query, { limit }) -> commands
+ * Query vuota: tutti i comandi nell'ordine dato (fino a limit).
+ */
+export function filterCommands(commands, query = '', { limit = MAX_RESULTS } = {}) {
+  const q = normalize(query).trim();
+  const terms = q.split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return commands.slice(0, limit);
+  const matches = commands.filter(cmd => {
+    const haystack = normalize([cmd.label].concat(cmd.keywords || []).join(' '));
+    return terms.every(term => haystack.includes(term));
+  });
+  const starts = matches.filter(cmd => normalize(cmd.label).startsWith(q));
+  return starts.concat(matches.filter(cmd => starts.indexOf(cmd) === -1)).slice(0, limit);
+}
+
+// overlay + dialog modale, come la finestra del QR code (link-qr.js)
+function createOverlay(className, labelledBy, parent) {
+  const overlay = document.createElement('div');
+  overlay.className = `cmd-overlay ${className}`;
+  overlay.hidden = true;
+  const dialog = document.createElement('div');
+  dialog.className = 'cmd-dialog';
+  dialog.setAttribute('role', 'dialog');
+  dialog.setAttribute('aria-modal', 'true');
+  dialog.setAttribute('aria-labelledby', labelledBy);
+  overlay.appendChild(dialog);
+  parent.appendChild(overlay);
+  return { overlay, dialog };
+}
+
+function restoreFocus(opener) {
+  if (opener && typeof opener.focus === 'function' && opener.isConnected) opener.focus();
+}
+
+/**
+ * createCommandPalette({ getCommands, parent }) -> { open(opener), close, isOpen, element }
+ * Invio esegue il comando evidenziato; Esc o un click sullo sfondo chiudono e il focus torna su `opener`.
+ * Dopo un comando il focus torna su `opener` solo se il comando non l'ha spostato altrove.
+ */
+export function createCommandPalette({ getCommands, parent = document.body } = {}) {
+  let commands = [];
+  let visible = [];
+  let active = 0;
+  let opener = null;
+
+  const { overlay, dialog } = createOverlay('cmd-palette', 'cmdPaletteTitle', parent);
+  dialog.innerHTML =
+    '<h2 id="cmdPaletteTitle" class="visually-hidden"></h2>' +
+    '<input class="cmd-input" type="text" role="combobox" aria-expanded="true" aria-controls="cmdPaletteList"' +
+    ' aria-autocomplete="list" autocomplete="off" spellcheck="false" />' +
+    '<ul id="cmdPaletteList" class="cmd-list" role="listbox"></ul>' +
+    '<p class="cmd-empty" hidden></p>' +
+    '<p class="cmd-hint" aria-hidden="true"></p>';
+
+  const title = dialog.querySelector('#cmdPaletteTitle');
+  const input = dialog.querySelector('.cmd-input');
+  const list = dialog.querySelector('.cmd-list');
+  const empty = dialog.querySelector('.cmd-empty');
+  const hint = dialog.querySelector('.cmd-hint');
+
+  function isOpen() {
+    return !overlay.hidden;
+  }
+
+  function setActive(index) {
+    active = visible.length ? (index + visible.length) % visible.length : 0;
+    Array.from(list.children).forEach((li, i) => li.setAttribute('aria-selected', i === active ? 'true' : 'false'));
+    const current = list.children[active];
+    if (current) {
+      input.setAttribute('aria-activedescendant', current.id);
+      if (current.scrollIntoView) current.scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function renderList() {
+    visible = filterCommands(commands, input.value);
+    list.innerHTML = visible.map((cmd, i) =>
+      '<li id="cmd-opt-' + i + '" class="cmd-option" role="option" aria-selected="false" data-index="' + i + '">' +
+      '<span class="cmd-label">' + escapeHtml(cmd.label) + '</span>' +
+      (cmd.shortcut ? '<kbd class="cmd-shortcut">' + escapeHtml(formatShortcut(cmd.shortcut)) + '</kbd>' : '') +
+      '</li>').join('');
+    empty.hidden = visible.length > 0;
+    setActive(0);
+  }
+
+  function open(from = document.activeElement) {
+    opener = from;
+    commands = (typeof getCommands === 'function' ? getCommands() : []).filter(cmd => cmd && cmd.label && typeof cmd.run === 'function');
+    title.textContent = t('palette.title');
+    input.setAttribute('aria-label', t('palette.title'));
+    input.placeholder = t('palette.placeholder');
+    empty.textContent = t('palette.empty');
+    hint.textContent = t('palette.hint');
+    input.value = '';
+    renderList();
+    overlay.hidden = false;
+    input.focus();
+  }
+
+  function close({ focusOpener = true } = {}) {
+    if (!isOpen()) return;
+    overlay.hidden = true;
+    if (focusOpener) restoreFocus(opener);
+  }
+
+  async function runCommand(cmd) {
+    if (!cmd) return;
+    const from = opener;
+    close({ focusOpener: false });
+    try {
+      await cmd.run();
+    } catch (e) {
+      console.warn('command failed', cmd.id, e);
+    }
+    const active = document.activeElement;
+    if (!active || active === document.body || overlay.contains(active)) restoreFocus(from);
+  }
+
+  input.addEventListener('input', renderList);
+  input.addEventListener('keydown', (ev) => {
+    if (ev.key === 'ArrowDown') { ev.preventDefault(); setActive(active + 1); }
+    else if (ev.key === 'ArrowUp') { ev.preventDefault(); setActive(active - 1); }
+    else if (ev.key === 'Home' && ev.ctrlKey) { ev.preventDefault(); setActive(0); }
+    else if (ev.key === 'End' && ev.ctrlKey) { ev.preventDefault(); setActive(visible.length - 1); }
+    else if (ev.key === 'Enter') { ev.preventDefault(); runCommand(visible[active]); }
+  });
+  list.addEventListener('mousemove', (ev) => {
+    const li = ev.target && ev.target.closest ? ev.target.closest('.cmd-option') : null;
+    if (li && Number(li.dataset.index) !== active) setActive(Number(li.dataset.index));
+  });
+  list.addEventListener('click', (ev) => {
+    const li = ev.target && ev.target.closest ? ev.target.closest('.cmd-option') : null;
+    if (li) runCommand(visible[Number(li.dataset.index)]);
+  });
+
+  overlay.addEventListener('click', (ev) => {
+    if (ev.target === overlay) close();
+  });
+  // Esc chiude; il campo di ricerca è l'unico elemento focusabile (Tab resta lì)
+  overlay.addEventListener('keydown', (ev) => {
+    if (ev.key === 'Escape') {
+      ev.preventDefault();
+      close();
+    } else if (ev.key === 'Tab') {
+      ev.preventDefault();
+      input.focus();
+    }
+  });
+
+  return { open, close, isOpen, element: overlay };
+}
+
+/**
+ * createShortcutHelp({ getShortcuts, parent }) -> { open(opener), close, isOpen, element }
+ * getShortcuts() -> [{ keys: 'Mod+K', label }] (keys nel formato di formatShortcut)
+ */
+export function createShortcutHelp({ getShortcuts, parent = document.body } = {}) {
+  let opener = null;
+
+  const { overlay, dialog } = createOverlay('cmd-help', 'shortcutHelpTitle', parent);
+  dialog.innerHTML =
+    '<h2 id="shortcutHelpTitle" class="cmd-title"></h2>' +
+    '<dl class="cmd-shortcuts"></dl>' +
+    '<div class="cmd-actions"><button type="button" class="links-io-btn cmd-close"></button></div>';
+
+  const title = dialog.querySelector('#shortcutHelpTitle');
+  const listEl = dialog.querySelector('.cmd-shortcuts');
+  const closeBtn = dialog.querySelector('.cmd-close');
+
+  function isOpen() {
+    return !overlay.hidden;
+  }
+
+  function open(from = document.activeElement) {
+    opener = from;
+    title.textContent = t('help.title');
+    closeBtn.textContent = t('help.close');
+    const shortcuts = typeof getShortcuts === 'function' ? getShortcuts() : [];
+    listEl.innerHTML = shortcuts.map(s =>
+      '<div class="cmd-shortcut-row"><dt><kbd>' + escapeHtml(formatShortcut(s.keys)) + '</kbd></dt>' +
+      '<dd>' + escapeHtml(s.label) + '</dd></div>').join('');
+    overlay.hidden = false;
+    closeBtn.focus();
+  }
+
+  function close() {
+    if (!isOpen()) return;
+    overlay.hidden = true;
+    restoreFocus(opener);
+  }
+
+  closeBtn.addEventListener('click', close);
+  overlay.addEventListener('click', (ev) => {
+    if (ev.target === overlay) close();
+  });
+  overlay.addEventListener('keydown', (ev) => {
+    if (ev.key === 'Escape') {
+      ev.preventDefault();
+      close();
+    } else if (ev.key === 'Tab') {
+      ev.preventDefault();
+      closeBtn.focus();
+    }
+  });
+
+  return { open, close, isOpen, element: overlay };
+}
\ No newline at end of file
@@ -5,5 +5,10 @@ export const EVENTS = {
   OFFERS_UPDATED: 'offers:updated',
   LINK_ADDED: 'link:added',
   LINK_REMOVED: 'link:removed',
-  LINKS_CLEARED: 'links:cleared'
+  LINK_UPDATED: 'link:updated',
+  LINKS_CLEARED: 'links:cleared',
+  LINKS_RESTORED: 'links:restored',
+  LANG_CHANGED: 'lang:changed',
+  // emesso da theme-toggle.js (script classico, usa la stringa): { preference, theme, accent }
+  THEME_CHANGED: 'theme:changed'
 };
\ No newline at end of file
@@ -0,0 +1,243 @@
+// js/history-adapters.js
+// Adapter di storage per la history dei link. link-store.js parla solo con questa interfaccia,
+// quindi il backend (localStorage, IndexedDB, in futuro un server) è intercambiabile.
+//
+// Interfaccia comune (tutti i metodi sono async e rigettano in caso di errore, es. quota superata):
+//   name                 -> 'localstorage' | 'indexeddb'
+//   open()               -> Promise<void>   (prepara il backend; rigetta se non disponibile)
+//   load()               -> Promise<record[]> ordinati dal più recente
+//   save(item)           -> Promise<void>   inserisce/aggiorna per link e applica il limite
+//   remove(link)         -> Promise<void>
+//   clear({ keepPinned }) -> Promise<void>  keepPinned: conserva le voci con `pinned: true`
+//
+// `limit`: numero massimo di voci non fissate conservate; null/0/Infinity = illimitato.
+// Le voci fissate (`pinned: true`) non contano nel limite e non vengono mai scartate dal trimming.
+
+function hasLimit(limit) {
+  return Number.isFinite(limit) && limit > 0;
+}
+
+function byNewest(a, b) {
+  return (Number(b.ts) || 0) - (Number(a.ts) || 0);
+}
+
+function isPinned(item) {
+  return !!(item && item.pinned === true);
+}
+
+// tiene tutte le voci fissate e le `limit` non fissate più recenti (arr già dal più recente)
+function applyLimit(arr, limit) {
+  if (!hasLimit(limit)) return arr;
+  let unpinned = 0;
+  return arr.filter(it => isPinned(it) || ++unpinned <= limit);
+}
+
+/**
+ * createLocalStorageAdapter({ key, limit, normalize }) -> adapter
+ * Backend storico: un array JSON sotto `key`, dal più recente al più vecchio.
+ * Le voci non normalizzate (formato legacy) vengono riscritte al primo load.
+ */
+export function createLocalStorageAdapter({ key = 'coolvoce-history', limit = 20, normalize = (it) => it } = {}) {
+  function readRaw() {
+    try {
+      const arr = JSON.parse(localStorage.getItem(key) || '[]');
+      return Array.isArray(arr) ? arr : [];
+    } catch (e) { return []; }
+  }
+
+  // lascia propagare gli errori (QuotaExceededError) al chiamante
+  function writeRaw(arr) {
+    localStorage.setItem(key, JSON.stringify(arr));
+  }
+
+  function readNormalized() {
+    const raw = readRaw();
+    const valid = raw.filter(it => it && typeof it.link === 'string' && it.link);
+    const items = valid.map(normalize);
+    const changed = valid.length !== raw.length || items.some((it, i) => JSON.stringify(it) !== JSON.stringify(valid[i]));
+    return { items, changed };
+  }
+
+  return {
+    name: 'localstorage',
+
+    async open() {
+      if (typeof localStorage === 'undefined') throw new Error('localStorage not available');
+    },
+
+    async load() {
+      const { items, changed } = readNormalized();
+      // migrazione one-shot: riscrive le voci legacy nel formato corrente
+      if (changed) {
+        try { writeRaw(items); } catch (e) { console.warn('history: migration write failed', e); }
+      }
+      return items;
+    },
+
+    async save(item) {
+      const arr = readNormalized().items;
+      arr.unshift(normalize(item));
+      // dedupe per link, poi ordine per ts (un record ripristinato torna al suo posto)
+      const unique = arr.filter((v, i, a) => a.findIndex(x => x.link === v.link) === i).sort(byNewest);
+      writeRaw(applyLimit(unique, limit));
+    },
+
+    async remove(link) {
+      writeRaw(readNormalized().items.filter(i => i.link !== link));
+    },
+
+    async clear({ keepPinned = false } = {}) {
+      const pinned = keepPinned ? readNormalized().items.filter(isPinned) : [];
+      if (pinned.length) writeRaw(pinned);
+      else localStorage.removeItem(key);
+    }
+  };
+}
+
+// promisify di una IDBRequest
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// promisify del completamento di una transazione
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
+  });
+}
+
+/**
+ * createIndexedDbAdapter({ dbName, storeName, limit, legacyKey, normalize }) -> adapter
+ * Object store con keyPath `link` (dedupe naturale) e indice su `ts` per ordinamento e trimming.
+ * Alla creazione del database importa una sola volta le voci presenti in localStorage sotto `legacyKey`
+ * e, a migrazione completata, rimuove la chiave legacy.
+ */
+export function createIndexedDbAdapter({
+  dbName = 'coolvoce',
+  storeName = 'history',
+  limit = null,
+  legacyKey = 'coolvoce-history',
+  normalize = (it) => it
+} = {}) {
+  let dbPromise = null;
+
+  function readLegacy() {
+    if (!legacyKey) return [];
+    try {
+      const arr = JSON.parse(localStorage.getItem(legacyKey) || '[]');
+      return Array.isArray(arr) ? arr.filter(it => it && typeof it.link === 'string' && it.link).map(normalize) : [];
+    } catch (e) { return []; }
+  }
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined' || !indexedDB) {
+        reject(new Error('IndexedDB not available'));
+        return;
+      }
+      let migrated = false;
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = (ev) => {
+        const db = req.result;
+        if (ev.oldVersion < 1) {
+          const os = db.createObjectStore(storeName, { keyPath: 'link' });
+          os.createIndex('ts', 'ts');
+          // one-time migration da localStorage (dentro la transazione di upgrade)
+          const legacy = readLegacy();
+          // dal più vecchio al più recente: a parità di link vince il più recente
+          legacy.slice().reverse().forEach(item => os.put(item));
+          migrated = legacy.length > 0;
+        }
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        if (migrated) {
+          try { localStorage.removeItem(legacyKey); } catch (e) {}
+        }
+        // un'altra scheda aggiorna lo schema: chiudi e riapri al prossimo accesso
+        db.onversionchange = () => { db.close(); dbPromise = null; };
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => console.warn('history: IndexedDB open blocked by another tab');
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  // elimina dal cursore (indice ts, dal più vecchio) le voci per cui `shouldDelete` è vero, fino a `max`
+  function deleteWhere(os, shouldDelete, max = Infinity) {
+    let left = max;
+    return new Promise((resolve, reject) => {
+      const cursorReq = os.index('ts').openCursor();
+      cursorReq.onsuccess = () => {
+        const cursor = cursorReq.result;
+        if (!cursor || left <= 0) return resolve();
+        if (shouldDelete(cursor.value)) {
+          cursor.delete();
+          left--;
+        }
+        cursor.continue();
+      };
+      cursorReq.onerror = () => reject(cursorReq.error);
+    });
+  }
+
+  async function trim(os) {
+    if (!hasLimit(limit)) return;
+    const total = await requestToPromise(os.count());
+    if (total <= limit) return;
+    // le fissate non contano: si eliminano le non fissate più vecchie oltre il limite
+    const unpinned = (await requestToPromise(os.getAll())).filter(it => !isPinned(it)).length;
+    const excess = unpinned - limit;
+    if (excess > 0) await deleteWhere(os, it => !isPinned(it), excess);
+  }
+
+  return {
+    name: 'indexeddb',
+
+    async open() {
+      await openDb();
+    },
+
+    async load() {
+      const db = await openDb();
+      const tx = db.transaction(storeName, 'readonly');
+      const items = await requestToPromise(tx.objectStore(storeName).getAll());
+      return items.map(normalize).sort(byNewest);
+    },
+
+    async save(item) {
+      const db = await openDb();
+      const tx = db.transaction(storeName, 'readwrite');
+      const done = transactionDone(tx);
+      const os = tx.objectStore(storeName);
+      os.put(normalize(item));
+      await trim(os);
+      await done;
+    },
+
+    async remove(link) {
+      const db = await openDb();
+      const tx = db.transaction(storeName, 'readwrite');
+      tx.objectStore(storeName).delete(link);
+      await transactionDone(tx);
+    },
+
+    async clear({ keepPinned = false } = {}) {
+      const db = await openDb();
+      const tx = db.transaction(storeName, 'readwrite');
+      const done = transactionDone(tx);
+      const os = tx.objectStore(storeName);
+      if (keepPinned) await deleteWhere(os, it => !isPinned(it));
+      else os.clear();
+      await done;
+    }
+  };
+}
\ No newline at end of file
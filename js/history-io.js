@@ -0,0 +1,173 @@
+// js/history-io.js
+// Pure functions per esportare/importare la history dei link in JSON (fedeltà completa) e CSV.
+// Nessun accesso a DOM o storage: il controller legge/scrive i file e passa i record allo store.
+
+import { normalizeOfferCode, CAMPAIGN_HOST, SIM_TYPES, ACTIVATION_TYPES } from './link-creator.js';
+import { createHistoryItem, HISTORY_VERSION } from './link-store.js';
+
+export const EXPORT_FORMAT = 'coolvoce-history';
+
+const CSV_COLUMNS = ['link', 'date', 'offer', 'label', 'sim', 'activation', 'note', 'tags', 'pinned'];
+
+/**
+ * historyToJson(items) -> string
+ * Envelope versionato: { format, version, exportedAt, items }.
+ */
+export function historyToJson(items = []) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: HISTORY_VERSION,
+    exportedAt: new Date().toISOString(),
+    items: items.map(createHistoryItem)
+  }, null, 2);
+}
+
+// celle che un foglio di calcolo leggerebbe come formula (note e tag sono testo libero)
+const FORMULA_START = /^[=+\-@]/;
+const FORMULA_ESCAPED = /^'[=+\-@]/;
+
+function csvCell(value) {
+  let s = value == null ? '' : String(value);
+  if (FORMULA_START.test(s)) return `"'${s.replace(/"/g, '""')}"`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * historyToCsv(items) -> string
+ * Colonne: link, date (ISO 8601), offer, label, sim, activation, note, tags (separati da virgola), pinned (1 / vuoto).
+ * Le celle che iniziano con = + - @ sono precedute da ' (niente formule all'apertura in un foglio di calcolo).
+ */
+export function historyToCsv(items = []) {
+  const rows = items.map(createHistoryItem).map(it => [
+    it.link,
+    it.ts ? new Date(it.ts).toISOString() : '',
+    it.offerKey,
+    it.offerLabel,
+    it.tipoFlusso,
+    it.tipoAttivazione,
+    it.note,
+    it.tags.join(', '),
+    it.pinned ? '1' : ''
+  ]);
+  return [CSV_COLUMNS, ...rows].map(r => r.map(csvCell).join(',')).join('\r\n');
+}
+
+// parser CSV minimale (RFC 4180: virgolette, virgolette raddoppiate, newline nei campi)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+function csvToEntries(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) return [];
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const col = (name) => header.indexOf(name);
+  if (col('link') === -1) throw new Error('CSV senza colonna "link"');
+  return rows.slice(1).map(r => {
+    const get = (name) => {
+      const value = (col(name) !== -1 && r[col(name)] != null) ? r[col(name)].trim() : '';
+      // toglie l'apostrofo aggiunto da csvCell davanti alle formule
+      return FORMULA_ESCAPED.test(value) ? value.slice(1) : value;
+    };
+    const date = get('date');
+    return {
+      link: get('link'),
+      ts: date ? Date.parse(date) : 0,
+      offerKey: get('offer'),
+      offerLabel: get('label'),
+      tipoFlusso: get('sim'),
+      tipoAttivazione: get('activation'),
+      note: get('note'),
+      tags: get('tags'),
+      pinned: /^(1|true|si|sì|yes)$/i.test(get('pinned'))
+    };
+  });
+}
+
+function jsonToEntries(text) {
+  const data = JSON.parse(text);
+  // accetta l'envelope di export o un array nudo (es. il contenuto di coolvoce-history)
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.items)) return data.items;
+  throw new Error('JSON senza elenco di link');
+}
+
+/**
+ * validateHistoryEntry(raw) -> { item, error }
+ * Controlli analoghi a normalizeOfferCode: host della campagna, codice offerta valido,
+ * tipoFlusso/tipoAttivazione ammessi e coerenti con i parametri del link.
+ */
+export function validateHistoryEntry(raw) {
+  if (!raw || typeof raw.link !== 'string' || !raw.link.trim()) return { item: null, error: 'link mancante' };
+  let url;
+  try { url = new URL(raw.link.trim()); } catch (e) { return { item: null, error: 'link non valido' }; }
+  if (url.hostname !== CAMPAIGN_HOST) return { item: null, error: 'host non riconosciuto' };
+
+  // i campi mancanti vengono ricavati dal link; quelli presenti devono coincidere
+  const fromLink = createHistoryItem({ link: url.href });
+  const item = createHistoryItem({ ...raw, link: url.href });
+  if (!normalizeOfferCode(item.rawCode).valid || !normalizeOfferCode(item.offerKey).valid) {
+    return { item: null, error: 'codice offerta non valido' };
+  }
+  if (!SIM_TYPES.includes(item.tipoFlusso)) return { item: null, error: 'tipo SIM non valido' };
+  if (!ACTIVATION_TYPES.includes(item.tipoAttivazione)) return { item: null, error: 'tipo attivazione non valido' };
+  if (item.tipoFlusso !== fromLink.tipoFlusso || item.tipoAttivazione !== fromLink.tipoAttivazione || item.rawCode !== fromLink.rawCode) {
+    return { item: null, error: 'campi incoerenti con il link' };
+  }
+  if (!Number.isFinite(item.ts) || item.ts <= 0) item.ts = Date.now();
+  return { item, error: null };
+}
+
+/**
+ * parseHistoryImport(text, { format, existingLinks }) -> { items, skipped, errors }
+ * format: 'json' | 'csv' | undefined (auto-detect). I duplicati (già presenti o ripetuti nel file)
+ * vengono scartati come in saveHistoryItem: un solo record per link.
+ */
+export function parseHistoryImport(text, { format, existingLinks = [] } = {}) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const kind = format || (/^\s*[[{]/.test(src) ? 'json' : 'csv');
+  const entries = kind === 'json' ? jsonToEntries(src) : csvToEntries(src);
+
+  const seen = new Set(existingLinks);
+  const items = [];
+  const errors = [];
+  let skipped = 0;
+  entries.forEach((raw, index) => {
+    const { item, error } = validateHistoryEntry(raw);
+    if (error) {
+      skipped++;
+      errors.push({ index, error });
+      return;
+    }
+    if (seen.has(item.link)) {
+      skipped++;
+      return;
+    }
+    seen.add(item.link);
+    items.push(item);
+  });
+  return { items, skipped, errors };
+}
\ No newline at end of file
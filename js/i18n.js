@@ -0,0 +1,118 @@
+// js/i18n.js
+// Localizzazione dell'interfaccia: cataloghi dei messaggi (js/locales/*.js), interpolazione e plurali.
+// - t(key, params): messaggio nella lingua corrente ("{name}" -> params.name); se il messaggio è un
+//   oggetto { one, other, ... } la forma viene scelta con Intl.PluralRules su params.count
+// - setLang(lang): salva la scelta (localStorage 'cv-lang', come 'cv-theme'), aggiorna <html lang>,
+//   ritraduce il markup statico e notifica EVENTS.LANG_CHANGED: nessun ricaricamento della pagina
+// - translateDom(root): testi statici marcati con data-i18n="chiave" e
+//   data-i18n-attr="placeholder:chiave; aria-label:chiave"
+// Chiavi mancanti: si ripiega sull'italiano, poi sulla chiave stessa (visibile, quindi facile da notare).
+
+import { EVENTS } from './events.js';
+import it from './locales/it.js';
+import en from './locales/en.js';
+
+export const LANG_KEY = 'cv-lang';
+export const DEFAULT_LANG = 'it';
+export const CATALOGUES = { it, en };
+// voci del selettore lingua (nome nella lingua stessa)
+export const LANGUAGES = [
+  { code: 'it', label: 'Italiano' },
+  { code: 'en', label: 'English' }
+];
+
+function isSupported(lang) {
+  return Object.prototype.hasOwnProperty.call(CATALOGUES, lang);
+}
+
+// lingua salvata, altrimenti la prima lingua del browser supportata, altrimenti italiano
+function detectLang() {
+  try {
+    const stored = localStorage.getItem(LANG_KEY);
+    if (stored && isSupported(stored)) return stored;
+  } catch (e) { /* storage non disponibile */ }
+  const preferred = (typeof navigator !== 'undefined' && (navigator.languages || [navigator.language])) || [];
+  const match = preferred.map(l => String(l || '').slice(0, 2).toLowerCase()).find(isSupported);
+  return match || DEFAULT_LANG;
+}
+
+let current = detectLang();
+const pluralRules = {};
+
+export function getLang() {
+  return current;
+}
+
+function pluralForm(message, count) {
+  if (Object.prototype.hasOwnProperty.call(message, `=${count}`)) return message[`=${count}`];
+  if (!pluralRules[current]) pluralRules[current] = new Intl.PluralRules(current);
+  const category = pluralRules[current].select(count);
+  return message[category] != null ? message[category] : message.other;
+}
+
+/**
+ * t(key, params) -> string
+ * params.count sceglie la forma plurale; tutti i params sono disponibili come {nome} nel testo.
+ */
+export function t(key, params = {}) {
+  let message = CATALOGUES[current][key];
+  if (message == null) message = CATALOGUES[DEFAULT_LANG][key];
+  if (message == null) return key;
+  if (typeof message === 'object') message = pluralForm(message, Number(params.count) || 0);
+  return String(message).replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match));
+}
+
+// etichette dei valori di tipoFlusso / tipoAttivazione (valore grezzo se sconosciuto)
+export function simLabel(value) {
+  return value ? (CATALOGUES[current][`sim.${value}`] || CATALOGUES[DEFAULT_LANG][`sim.${value}`] || value) : '';
+}
+
+export function activationLabel(value) {
+  return value ? (CATALOGUES[current][`activation.${value}`] || CATALOGUES[DEFAULT_LANG][`activation.${value}`] || value) : '';
+}
+
+/**
+ * translateDom(root) -> numero di elementi tradotti
+ * data-i18n: textContent; data-i18n-attr: elenco "attributo:chiave" separato da ';'.
+ */
+export function translateDom(root = document) {
+  let count = 0;
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.dataset.i18n);
+    count++;
+  });
+  root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+    el.dataset.i18nAttr.split(';').forEach(pair => {
+      const [attr, key] = pair.split(':').map(s => s && s.trim());
+      if (attr && key) el.setAttribute(attr, t(key));
+    });
+    count++;
+  });
+  return count;
+}
+
+/**
+ * setLang(lang, { persist }) -> lingua applicata
+ * Lingue non supportate vengono ignorate (resta quella corrente).
+ */
+export function setLang(lang, { persist = true } = {}) {
+  if (!isSupported(lang)) return current;
+  const changed = lang !== current;
+  current = lang;
+  if (persist) {
+    try { localStorage.setItem(LANG_KEY, lang); } catch (e) { /* scelta valida solo per questa pagina */ }
+  }
+  document.documentElement.lang = lang;
+  translateDom();
+  if (changed) {
+    try { document.dispatchEvent(new CustomEvent(EVENTS.LANG_CHANGED, { detail: { lang } })); } catch (e) {}
+  }
+  return current;
+}
+
+// fn({ lang }) a ogni cambio lingua; restituisce la funzione per disiscriversi
+export function onLangChange(fn) {
+  const handler = (ev) => fn(ev.detail || { lang: current });
+  document.addEventListener(EVENTS.LANG_CHANGED, handler);
+  return () => document.removeEventListener(EVENTS.LANG_CHANGED, handler);
+}
\ No newline at end of file
@@ -0,0 +1,41 @@
+// js/link-batch.js
+// Generazione multipla: pure functions per la matrice offerte × SIM × attivazione.
+// Nessun side effect: il salvataggio (con dedupe per link nello store) resta al controller.
+
+import { normalizeOfferCode, SIM_TYPES, ACTIVATION_TYPES } from './link-creator.js';
+
+// tetto di sicurezza contro incolla accidentali di liste enormi
+export const BATCH_LIMIT = 200;
+
+/**
+ * parseCodeList(text) -> { codes, invalid }
+ * Codici separati da a capo, spazi, virgole o punti e virgola; duplicati rimossi (primo vince).
+ */
+export function parseCodeList(text) {
+  const codes = [];
+  const invalid = [];
+  String(text || '').split(/[\s,;]+/).filter(Boolean).forEach(token => {
+    const { code, valid } = normalizeOfferCode(token);
+    if (!valid) invalid.push(token);
+    else if (!codes.includes(code)) codes.push(code);
+  });
+  return { codes, invalid };
+}
+
+/**
+ * buildBatchCombos({ codes, simTypes, activations }) -> [{ code, tipoFlusso, tipoAttivazione }]
+ * Ordine: codice, poi SIM, poi attivazione (come le variabili vengono spuntate nel form).
+ * Valori SIM/attivazione sconosciuti vengono ignorati.
+ */
+export function buildBatchCombos({ codes = [], simTypes = [], activations = [] } = {}) {
+  const uniq = (list, allowed) => list.filter((v, i) => allowed.includes(v) && list.indexOf(v) === i);
+  const sims = uniq(simTypes, SIM_TYPES);
+  const acts = uniq(activations, ACTIVATION_TYPES);
+  const combos = [];
+  codes.filter((c, i) => c && codes.indexOf(c) === i).forEach(code => {
+    sims.forEach(tipoFlusso => {
+      acts.forEach(tipoAttivazione => combos.push({ code, tipoFlusso, tipoAttivazione }));
+    });
+  });
+  return combos;
+}
\ No newline at end of file
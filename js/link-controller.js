@@ -3,11 +3,26 @@
 // Miglioramenti UX/accessibilità: focus management, keyboard shortcuts per le link-box.
 // Aggiunta gestione visuale degli errori sugli input/select quando GENERA è premuto senza dati.
 
-import { buildCampaignLink, normalizeOfferCode } from './link-creator.js';
+import { buildCampaignLink, parseCampaignLink, normalizeOfferCode, ESIM_PREFIX } from './link-creator.js';
 import * as store from './link-store.js';
 import { createRenderer } from './link-renderer.js';
-import { copyToClipboard, announce, sanitizeHtml, escapeHtml } from './utils.js';
+import { historyToJson, historyToCsv, parseHistoryImport } from './history-io.js';
+import { createUndoToast } from './undo-toast.js';
+import { createQrDialog } from './link-qr.js';
+import { openNoteEditor } from './link-notes.js';
+import { readDeepLink, withDeepLinkParams, DEEP_LINK_PARAMS } from './link-deeplink.js';
+import { buildShareData, shareLink, readSharedText, extractLinkCandidates, stripShareParams } from './link-share.js';
+import { createCompareTable } from './offer-compare.js';
+import { createOfferTimeline, describeDiff, summarizeDiff } from './offer-timeline.js';
+import { parseCodeList, buildBatchCombos, BATCH_LIMIT } from './link-batch.js';
+import { createLinkFilter, isFilterActive, getLinkSort, DEFAULT_SORT } from './link-filter.js';
+import { copyToClipboard, announce, escapeHtml, downloadFile } from './utils.js';
 import { EVENTS } from './events.js';
+import { t, getLang, setLang, translateDom, onLangChange, simLabel, activationLabel, LANGUAGES } from './i18n.js';
+import { formatDate } from './offer-format.js';
+import { offerDescriptionHtml, buildSheetEntries, renderOfferSheet } from './offer-sheet.js';
+import { createRovingFocus } from './roving-focus.js';
+import { createCommandPalette, createShortcutHelp } from './command-palette.js';
 
 export function initLinkController(options = {}) {
   const {
@@ -19,7 +34,36 @@ export function initLinkController(options = {}) {
     simTypeId = 'simType',
     activationTypeId = 'activationType',
     clearBtnSelector = '#clearLinksBtn',
-    offerDescriptionId = 'offerDescription'
+    exportJsonBtnSelector = '#exportJsonBtn',
+    exportCsvBtnSelector = '#exportCsvBtn',
+    importBtnSelector = '#importLinksBtn',
+    importInputSelector = '#importLinksInput',
+    searchInputSelector = '#linksSearch',
+    filterSimSelector = '#linksFilterSim',
+    filterActivationSelector = '#linksFilterActivation',
+    sortSelector = '#linksSort',
+    filterStatusSelector = '#linksFilterStatus',
+    offerDescriptionId = 'offerDescription',
+    offersBannerId = 'offersBanner',
+    offersChangesId = 'offersChanges',
+    hideExpiredToggleId = 'hideExpiredToggle',
+    generateWarningId = 'generateWarning',
+    compareToggleSelector = '#compareToggleBtn',
+    compareContainerId = 'offerCompare',
+    timelineToggleSelector = '#timelineToggleBtn',
+    timelineContainerId = 'offersTimeline',
+    batchToggleSelector = '#batchToggleBtn',
+    batchPanelId = 'batchPanel',
+    sheetToggleSelector = '#sheetToggleBtn',
+    sheetPanelId = 'offerSheet',
+    pasteLinkId = 'pasteLink',
+    pasteLinkStatusId = 'pasteLinkStatus',
+    langSelectId = 'langSelect',
+    shortcutsBtnSelector = '#shortcutsBtn',
+    mirrorUrl = true, // riflette offerta/SIM/attivazione nei parametri dell'URL (link-deeplink.js)
+    historyBackend, // 'indexeddb' (default) | 'localstorage'
+    historyLimit, // null = illimitato
+    undoTimeoutMs = 5000 // finestra per annullare rimozione / svuota
   } = options;
 
   const container = document.querySelector(containerSelector);
@@ -29,42 +73,272 @@ export function initLinkController(options = {}) {
   const customOffer = document.getElementById(customOfferId);
   const simType = document.getElementById(simTypeId);
   const activationType = document.getElementById(activationTypeId);
+  const pasteLink = document.getElementById(pasteLinkId);
+  const pasteLinkStatus = document.getElementById(pasteLinkStatusId);
   const clearBtn = document.querySelector(clearBtnSelector);
+  const exportJsonBtn = document.querySelector(exportJsonBtnSelector);
+  const exportCsvBtn = document.querySelector(exportCsvBtnSelector);
+  const importBtn = document.querySelector(importBtnSelector);
+  const importInput = document.querySelector(importInputSelector);
+  const searchInput = document.querySelector(searchInputSelector);
+  const filterSim = document.querySelector(filterSimSelector);
+  const filterActivation = document.querySelector(filterActivationSelector);
+  const sortSelect = document.querySelector(sortSelector);
+  const filterStatus = document.querySelector(filterStatusSelector);
   const offerDescription = document.getElementById(offerDescriptionId);
+  const offersBanner = document.getElementById(offersBannerId);
+  const offersChanges = document.getElementById(offersChangesId);
+  // offerte comparse con l'ultimo aggiornamento: evidenziate in #offerSelect finché il pannello resta aperto
+  let newOfferKeys = new Set();
+  const hideExpiredToggle = document.getElementById(hideExpiredToggleId);
+  const generateWarning = document.getElementById(generateWarningId);
+  const compareToggle = document.querySelector(compareToggleSelector);
+  const compareContainer = document.getElementById(compareContainerId);
+  const timelineToggle = document.querySelector(timelineToggleSelector);
+  const timelineContainer = document.getElementById(timelineContainerId);
+  const batchToggle = document.querySelector(batchToggleSelector);
+  const batchPanel = document.getElementById(batchPanelId);
+  const batchPart = (id) => (batchPanel ? batchPanel.querySelector('#' + id) : null);
+  const batchOffers = batchPart('batchOffers');
+  const batchCodes = batchPart('batchCodes');
+  const batchCount = batchPart('batchCount');
+  const batchGenerateBtn = batchPart('batchGenerateBtn');
+  const batchResult = batchPart('batchResult');
+  const batchList = batchPart('batchList');
+  const batchCopyBtn = batchPart('batchCopyBtn');
+  const batchExportCsvBtn = batchPart('batchExportCsvBtn');
+  const batchExportJsonBtn = batchPart('batchExportJsonBtn');
+  const sheetToggle = document.querySelector(sheetToggleSelector);
+  const sheetPanel = document.getElementById(sheetPanelId);
+  const sheetOffers = sheetPanel ? sheetPanel.querySelector('#sheetOffers') : null;
+  const sheetPreview = sheetPanel ? sheetPanel.querySelector('#sheetPreview') : null;
+  const sheetPrintBtn = sheetPanel ? sheetPanel.querySelector('#sheetPrintBtn') : null;
+  const sheetSelectAllBtn = sheetPanel ? sheetPanel.querySelector('#sheetSelectAllBtn') : null;
+  const langSelect = document.getElementById(langSelectId);
+  const shortcutsBtn = document.querySelector(shortcutsBtnSelector);
 
   if (!container || !generateBtn) {
     console.warn('initLinkController: required DOM elements missing');
     return null;
   }
 
+  if (historyBackend !== undefined || historyLimit !== undefined) {
+    store.configureHistoryStore({ backend: historyBackend, limit: historyLimit });
+  }
+
+  // gli errori di persistenza (es. quota superata) non devono passare inosservati
+  function reportStoreError(e) {
+    console.warn('history store error', e);
+    announce(t('store.error'));
+  }
+
+  // ---- Undo (rimozione singola e svuota elenco) ----
+  const undoToast = createUndoToast({ timeoutMs: undoTimeoutMs, actionLabel: t('undo.action') });
+  // QR code del link (bottone "QR" di ogni box)
+  const qrDialog = createQrDialog();
+  // durante il clear-all le rimozioni singole non offrono un undo proprio
+  let clearing = false;
+
+  // entries: [{ item, index, wasLatest }] (detail di LINK_REMOVED / LINKS_CLEARED)
+  async function restoreEntries(entries) {
+    const boxes = renderer.restore(entries);
+    updateClearLabel();
+    try { await store.saveHistoryItems(entries.map(e => e.item)); } catch (e) { reportStoreError(e); }
+    announce(t('undo.restored', { count: boxes.length }));
+    document.dispatchEvent(new CustomEvent(EVENTS.LINKS_RESTORED, { detail: { items: entries } }));
+    if (boxes[0] && boxes[0].focus) boxes[0].focus();
+  }
+
   const renderer = createRenderer(container, {
     badgeElement: badge,
-    onRemove: (link) => {
-      if (link) store.removeHistoryLink(link);
-      document.dispatchEvent(new CustomEvent(EVENTS.LINK_REMOVED, { detail: { link } }));
+    // badge "SCADUTA" per i link la cui offerta è scaduta nel catalogo corrente
+    isExpired: (record) => {
+      const offer = record && record.offerKey ? getOffersFromWindow()[record.offerKey] : null;
+      return !!offer && offer.status === 'expired';
     },
-    onAdd: (link) => {
-      // optional
+    onRemove: (link, info = {}) => {
+      if (link) store.removeHistoryLink(link).catch(reportStoreError);
+      updateClearLabel();
+      updateFilterStatus();
+      const item = info.item || null;
+      const detail = {
+        link, item, index: info.index, wasLatest: !!info.wasLatest,
+        note: item && item.note || '', tags: item && item.tags || [], pinned: !!(item && item.pinned)
+      };
+      if (link && info.item && !clearing) {
+        undoToast.show(t('link.removed'), () => restoreEntries([detail]));
+      }
+      document.dispatchEvent(new CustomEvent(EVENTS.LINK_REMOVED, { detail }));
+    },
+    onAdd: () => {
+      updateClearLabel();
+      updateFilterStatus();
     }
   });
 
+  // ---- Clear button aria-label: derivato sempre dal numero di link nel DOM ----
+  function updateClearLabel() {
+    if (!clearBtn) return;
+    try { clearBtn.setAttribute('aria-label', t('clear.label', { count: renderer.count() })); } catch (e) {}
+  }
+
+  // ---- Filter bar: ricerca, filtri SIM/attivazione, ordinamento ----
+  function getFilterCriteria() {
+    return {
+      query: searchInput ? searchInput.value : '',
+      sim: filterSim ? filterSim.value : '',
+      activation: filterActivation ? filterActivation.value : ''
+    };
+  }
+
+  function updateFilterStatus() {
+    if (!filterStatus) return;
+    const total = renderer.count();
+    filterStatus.textContent = isFilterActive(getFilterCriteria()) ? t('filter.status', { visible: renderer.visibleCount(), total }) : '';
+  }
+
+  function applyLinkFilters() {
+    const criteria = getFilterCriteria();
+    const sort = sortSelect ? sortSelect.value : DEFAULT_SORT;
+    renderer.setView({
+      filter: isFilterActive(criteria) ? createLinkFilter(criteria) : null,
+      // anche per 'date-desc': tornando all'ordine predefinito i box vanno riordinati
+      compare: getLinkSort(sort)
+    });
+    updateFilterStatus();
+  }
+
+  if (searchInput) searchInput.addEventListener('input', applyLinkFilters);
+  [filterSim, filterActivation, sortSelect].forEach(el => {
+    if (el) el.addEventListener('change', applyLinkFilters);
+  });
+
+  // prossima box visibile da mettere a fuoco dopo una rimozione
+  function nextFocusTarget(box) {
+    const usable = (el) => el && el.classList.contains('link-box') && !el.hidden && el.dataset.deleting !== '1';
+    let el = box.nextElementSibling;
+    while (el && !usable(el)) el = el.nextElementSibling;
+    if (el) return el;
+    el = box.previousElementSibling;
+    while (el && !usable(el)) el = el.previousElementSibling;
+    return el || null;
+  }
+
+  // ---- History hydration: ripristina nel renderer i link salvati nello store ----
+  async function hydrateHistory() {
+    let history = [];
+    try { history = await store.loadHistory(); } catch (e) { reportStoreError(e); history = []; }
+    if (!Array.isArray(history)) return 0;
+    // render ordina cronologicamente e marca come latest il più recente
+    const count = renderer.render(history.filter(it => it && typeof it.link === 'string' && it.link));
+    updateClearLabel();
+    applyLinkFilters();
+    return count;
+  }
+
+  // il generate attende la hydration, così i link restano in ordine cronologico
+  const historyReady = hydrateHistory();
+
+  // ---- Sync tra schede: le modifiche fatte altrove arrivano già salvate, qui si aggiorna solo il DOM ----
+  async function applyRemoteChange(change) {
+    if (!change || !change.type) return;
+    await historyReady;
+    const boxes = Array.from(container.querySelectorAll('.link-box')).filter(b => b.dataset.deleting !== '1');
+    if (change.type === 'remove') {
+      const box = boxes.find(b => b.dataset.link === change.link);
+      if (!box) return;
+      await renderer.removeByElement(box, { dispatchRemove: false });
+      updateClearLabel();
+      updateFilterStatus();
+      return;
+    }
+    if (change.type === 'update') {
+      renderer.update(change.item);
+      return;
+    }
+    if (change.type === 'clear') {
+      if (boxes.length === 0) return;
+      // svuotamento senza i fissati: restano solo quelli
+      renderer.render(change.includePinned ? [] : boxes.map(b => renderer.getRecord(b)).filter(r => r && r.pinned));
+      updateClearLabel();
+      updateFilterStatus();
+      announce(t('sync.cleared'));
+      return;
+    }
+    if (change.type === 'add') {
+      const items = Array.isArray(change.items) ? change.items : [];
+      const item = items.length === 1 ? items[0] : null;
+      const newestTs = boxes.reduce((max, b) => Math.max(max, Number((renderer.getRecord(b) || {}).ts) || 0), 0);
+      if (item && !boxes.some(b => b.dataset.link === item.link) && (Number(item.ts) || 0) >= newestTs) {
+        // caso comune: link appena generato in un'altra scheda
+        renderer.add(item, { markLatest: true });
+      } else {
+        // ripristini, import, link rigenerati: si rilegge lo store per avere ordine e dedupe corretti
+        await hydrateHistory();
+      }
+      updateClearLabel();
+      updateFilterStatus();
+      announce(t('sync.added', { count: items.length }));
+    }
+  }
+
+  store.onHistoryChange((change) => {
+    applyRemoteChange(change).catch(e => console.warn('history sync error', e));
+  });
+
   // ---- OFFERS helpers ----
   function getOffersFromWindow() {
     return (window.CoolVoceOffers && typeof window.CoolVoceOffers === 'object') ? window.CoolVoceOffers : {};
   }
 
+  // ---- Expired offers: preferenza "nascondi scadute" persistita come cv-theme ----
+  const HIDE_EXPIRED_KEY = 'cv-hide-expired';
+
+  function getHideExpired() {
+    try { return localStorage.getItem(HIDE_EXPIRED_KEY) === '1'; } catch (e) { return false; }
+  }
+
+  function isOfferExpired(offer) {
+    return !!offer && offer.status === 'expired';
+  }
+
   function populateOffers(offers) {
+    populateBatchOffers(offers);
+    populateSheetOffers(offers);
     if (!offerSelect) return;
     const prevSelected = offerSelect.value;
-    offerSelect.innerHTML = '<option value="">SELEZIONA</option>';
+    offerSelect.innerHTML = '<option value="">' + escapeHtml(t('form.select')) + '</option>';
     const keys = Object.keys(offers || {});
     if (keys.length === 0) return;
-    keys.forEach(key => {
+
+    const createOption = (key) => {
       const opt = document.createElement('option');
       opt.value = key;
       opt.textContent = (offers[key] && offers[key].label) ? offers[key].label : key;
-      offerSelect.appendChild(opt);
-    });
+      if (newOfferKeys.has(key)) {
+        opt.textContent = '🆕 ' + opt.textContent;
+        opt.className = 'offer-new';
+      }
+      return opt;
+    };
+    const active = keys.filter(key => !isOfferExpired(offers[key]));
+    const expired = keys.filter(key => isOfferExpired(offers[key]));
+    const hideExpired = hideExpiredToggle ? hideExpiredToggle.checked : getHideExpired();
+
+    if (expired.length === 0) {
+      // catalogo senza scadute (o senza date): elenco piatto come prima
+      keys.forEach(key => offerSelect.appendChild(createOption(key)));
+    } else {
+      const groups = [[t('offers.active'), active]];
+      if (!hideExpired) groups.push([t('offers.expired'), expired]);
+      groups.forEach(([label, groupKeys]) => {
+        if (groupKeys.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        groupKeys.forEach(key => group.appendChild(createOption(key)));
+        offerSelect.appendChild(group);
+      });
+    }
     if (prevSelected) {
       const stillExists = !!(offers && offers[prevSelected]);
       offerSelect.value = stillExists ? prevSelected : '';
@@ -87,21 +361,14 @@ export function initLinkController(options = {}) {
     }
     const o = offers[key];
     const label = o.label || key;
-    const desc = o.desc;
     const labelId = String('label-' + key).replace(/[^a-zA-Z0-9\-_:.]/g, '-');
     const descId = String('desc-' + key).replace(/[^a-zA-Z0-9\-_:.]/g, '-');
-
-    let rawHtml = '';
-    if (Array.isArray(desc)) rawHtml = desc.map(d => String(d)).join('<br/>');
-    else if (desc != null) rawHtml = String(desc).replace(/\n/g, '<br/>');
-
-    let descHtml = '';
-    try { descHtml = sanitizeHtml(rawHtml, { ALLOWED_TAGS: ['br'] }); }
-    catch (e) { descHtml = escapeHtml(rawHtml).replace(/\n/g, '<br/>'); }
+    const descHtml = offerDescriptionHtml(o);
 
     offerDescription.innerHTML =
       '<div class="offer-label" id="'+labelId+'" role="heading" aria-level="3">'+escapeHtml(label)+
-      ' <span class="offer-key" aria-hidden="true">('+escapeHtml(key)+')</span></div>'+
+      ' <span class="offer-key" aria-hidden="true">('+escapeHtml(key)+')</span>'+
+      (isOfferExpired(o) ? ' <span class="chip chip-expired">' + escapeHtml(t('chip.expired')) + '</span>' : '')+'</div>'+
       '<div class="offer-desc" id="'+descId+'">'+descHtml+'</div>';
 
     if (descHtml) {
@@ -113,30 +380,166 @@ export function initLinkController(options = {}) {
     }
   }
 
+  // ---- Offers validation banner (report da offers-schema.js via offers-loader) ----
+  // Mostra solo gli errori (voci scartate); i warning restano in console.
+  // I dettagli (messaggi di offers-schema.js) restano in italiano.
+  let lastReport = null;
+  function showOffersReport(report) {
+    if (!offersBanner) return;
+    lastReport = report;
+    const errors = (report && Array.isArray(report.issues)) ? report.issues.filter(i => i.level === 'error') : [];
+    if (!report || errors.length === 0) {
+      offersBanner.hidden = true;
+      offersBanner.innerHTML = '';
+      return;
+    }
+    const summary = report.total === 0 || report.accepted === 0
+      ? t('report.invalid')
+      : t('report.dropped', { count: report.dropped });
+    offersBanner.innerHTML =
+      '<span class="offers-banner-text">'+escapeHtml(summary)+'</span>'+
+      '<details class="offers-banner-details"><summary>' + escapeHtml(t('report.details')) + '</summary><ul>'+
+      errors.map(i => '<li>'+escapeHtml(i.message)+'</li>').join('')+
+      '</ul></details>'+
+      '<button type="button" class="offers-banner-close" aria-label="' + escapeHtml(t('report.close')) + '">✕</button>';
+    offersBanner.hidden = false;
+    const closeBtn = offersBanner.querySelector('.offers-banner-close');
+    if (closeBtn) closeBtn.addEventListener('click', () => { offersBanner.hidden = true; }, { once: true });
+  }
+
+  // ---- Pannello "novità catalogo" (diff nel detail di offers:updated / offers:loaded) ----
+  let lastDiff = null;
+  function showOffersChanges(diff) {
+    const summary = summarizeDiff(diff);
+    if (!summary) return '';
+    lastDiff = diff;
+    newOfferKeys = new Set(diff.added);
+    if (!offersChanges) return summary;
+    offersChanges.innerHTML =
+      '<span class="offers-banner-text">'+escapeHtml(t('changes.title', { summary }))+'</span>'+
+      '<ul class="offers-changes-list">'+describeDiff(diff).map(l => '<li>'+escapeHtml(l)+'</li>').join('')+'</ul>'+
+      '<button type="button" class="offers-banner-close" aria-label="' + escapeHtml(t('changes.close')) + '">✕</button>';
+    offersChanges.hidden = false;
+    const closeBtn = offersChanges.querySelector('.offers-banner-close');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => {
+        offersChanges.hidden = true;
+        newOfferKeys = new Set();
+        populateOffers(getOffersFromWindow());
+        if (offerSelect) offerSelect.focus();
+      }, { once: true });
+    }
+    return summary;
+  }
+
+  function getOffersDiff(ev) {
+    return ev && ev.detail && ev.detail.diff ? ev.detail.diff : null;
+  }
+
+  function getOffersReport(ev) {
+    if (ev && ev.detail && ev.detail.validation !== undefined) return ev.detail.validation;
+    return window.CoolVoceOffersReport || null;
+  }
+
   // initial populate
   try {
     const offers = getOffersFromWindow();
     populateOffers(offers);
+    showOffersReport(getOffersReport());
     if (offerSelect && offerSelect.value) showOffer(offerSelect.value);
   } catch (e) { /* ignore */ }
 
-  document.addEventListener(EVENTS.OFFERS_LOADED, () => {
+  document.addEventListener(EVENTS.OFFERS_LOADED, (ev) => {
     try {
       const offers = getOffersFromWindow();
+      showOffersChanges(getOffersDiff(ev));
       populateOffers(offers);
+      showOffersReport(getOffersReport(ev));
+      renderer.refreshStatus();
+      refreshCompare();
+      refreshTimeline();
       if (offerSelect && offerSelect.value) showOffer(offerSelect.value);
     } catch (e) { console.warn('offers:loaded handler error', e); }
   });
 
-  document.addEventListener(EVENTS.OFFERS_UPDATED, () => {
+  document.addEventListener(EVENTS.OFFERS_UPDATED, (ev) => {
     try {
       const offers = getOffersFromWindow();
+      const summary = showOffersChanges(getOffersDiff(ev));
       populateOffers(offers);
-      announce('Elenco offerte aggiornato.');
+      showOffersReport(getOffersReport(ev));
+      renderer.refreshStatus();
+      refreshCompare();
+      refreshTimeline();
+      announce(summary ? t('offers.updatedSummary', { summary }) : t('offers.updated'));
       if (offerSelect && offerSelect.value) showOffer(offerSelect.value);
     } catch (e) { console.warn('offers:updated handler error', e); }
   });
 
+  if (hideExpiredToggle) {
+    hideExpiredToggle.checked = getHideExpired();
+    hideExpiredToggle.addEventListener('change', () => {
+      try { localStorage.setItem(HIDE_EXPIRED_KEY, hideExpiredToggle.checked ? '1' : '0'); } catch (e) {}
+      populateOffers(getOffersFromWindow());
+      refreshCompare();
+      if (offerSelect && offerSelect.value) showOffer(offerSelect.value);
+      else if (!(customOffer && customOffer.value.trim())) hideDescription();
+    });
+  }
+
+  // genera per un'offerta del catalogo (tabella di confronto, palette comandi):
+  // riflette la scelta nel form, poi genera con SIM/attivazione correnti
+  function generateForOffer(key) {
+    const { code, valid } = normalizeOfferCode(key);
+    if (!valid) return null;
+    if (offerSelect && Array.from(offerSelect.options).some(o => o.value === code)) {
+      offerSelect.value = code;
+      if (customOffer) customOffer.value = '';
+      showOffer(code);
+    }
+    mirrorFormToUrl();
+    return createLink(code);
+  }
+
+  // ---- Offer comparison table (stessa generazione del bottone GENERA) ----
+  const compareTable = compareContainer ? createCompareTable(compareContainer, {
+    onGenerate: generateForOffer
+  }) : null;
+
+  function refreshCompare() {
+    if (!compareTable || !compareContainer || compareContainer.hidden) return;
+    const hideExpired = hideExpiredToggle ? hideExpiredToggle.checked : getHideExpired();
+    compareTable.render(getOffersFromWindow(), { filter: hideExpired ? (row) => row.status !== 'expired' : null });
+  }
+
+  if (compareToggle && compareContainer) {
+    compareToggle.setAttribute('aria-controls', compareContainer.id);
+    compareToggle.setAttribute('aria-expanded', compareContainer.hidden ? 'false' : 'true');
+    compareToggle.addEventListener('click', () => {
+      compareContainer.hidden = !compareContainer.hidden;
+      compareToggle.setAttribute('aria-expanded', compareContainer.hidden ? 'false' : 'true');
+      refreshCompare();
+    });
+  }
+
+  // ---- Storico catalogo (snapshot archiviati da offers-archive.js) ----
+  const offersTimeline = timelineContainer ? createOfferTimeline(timelineContainer) : null;
+
+  function refreshTimeline() {
+    if (!offersTimeline || !timelineContainer || timelineContainer.hidden) return;
+    offersTimeline.render();
+  }
+
+  if (timelineToggle && timelineContainer) {
+    timelineToggle.setAttribute('aria-controls', timelineContainer.id);
+    timelineToggle.setAttribute('aria-expanded', timelineContainer.hidden ? 'false' : 'true');
+    timelineToggle.addEventListener('click', () => {
+      timelineContainer.hidden = !timelineContainer.hidden;
+      timelineToggle.setAttribute('aria-expanded', timelineContainer.hidden ? 'false' : 'true');
+      refreshTimeline();
+    });
+  }
+
   // ---- UI interactions: select / custom ----
   if (offerSelect) {
     offerSelect.addEventListener('change', () => {
@@ -163,6 +566,194 @@ export function initLinkController(options = {}) {
     });
   }
 
+  // ---- Link esistente incollato: compila offerta/SIM/attivazione per rigenerarlo ----
+  function setPasteStatus(text, isError) {
+    if (!pasteLinkStatus) return;
+    pasteLinkStatus.textContent = text;
+    pasteLinkStatus.classList.toggle('is-error', !!isError);
+  }
+
+  // applyCampaignLink(text) -> risultato di parseCampaignLink; i controlli cambiano solo se il link è valido
+  function applyCampaignLink(text) {
+    const offers = getOffersFromWindow();
+    const parsed = parseCampaignLink(text, { offers });
+    if (!parsed.valid) {
+      setPasteStatus(parsed.errors.join(' '), true);
+      return parsed;
+    }
+    if (simType) simType.value = parsed.tipoFlusso;
+    if (activationType) activationType.value = parsed.tipoAttivazione;
+    const inSelect = !!parsed.offerKey && !!offerSelect && Array.from(offerSelect.options).some(o => o.value === parsed.offerKey);
+    if (inSelect) {
+      offerSelect.value = parsed.offerKey;
+      if (customOffer) customOffer.value = '';
+      showOffer(parsed.offerKey);
+    } else {
+      // offerta non in catalogo (o scaduta e nascosta): il codice va nel campo personalizzato
+      if (offerSelect) offerSelect.value = '';
+      if (customOffer) {
+        customOffer.value = parsed.offerKey || parsed.code;
+        customOffer.classList.remove('input-error');
+      }
+      hideDescription();
+    }
+    const offer = parsed.offerKey ? offers[parsed.offerKey] : null;
+    const name = offer && offer.label ? `${offer.label} (${parsed.offerKey})` : t('paste.unknownOffer', { code: parsed.code });
+    setPasteStatus(t('paste.read', { name, sim: simLabel(parsed.tipoFlusso), activation: activationLabel(parsed.tipoAttivazione) }), false);
+    mirrorFormToUrl();
+    return parsed;
+  }
+
+  if (pasteLink) {
+    pasteLink.addEventListener('paste', (ev) => {
+      const text = ev.clipboardData ? ev.clipboardData.getData('text') : '';
+      if (!text) return;
+      ev.preventDefault();
+      pasteLink.value = text.trim();
+      applyCampaignLink(pasteLink.value);
+    });
+    pasteLink.addEventListener('change', () => {
+      if (pasteLink.value.trim()) applyCampaignLink(pasteLink.value);
+      else setPasteStatus('', false);
+    });
+    pasteLink.addEventListener('keydown', (ev) => {
+      if (ev.key === 'Enter') {
+        ev.preventDefault();
+        applyCampaignLink(pasteLink.value);
+      }
+    });
+  }
+
+  // ---- Link condiviso verso l'app (share_target del manifest) ----
+  // Il primo link CoopVoce valido nel contenuto condiviso compila i controlli e finisce nella history.
+  // Si aspetta il catalogo, così il record ha la label dell'offerta.
+  const offersReady = new Promise((resolve) => {
+    if (window.CoolVoceOffersReport) { resolve(); return; }
+    document.addEventListener(EVENTS.OFFERS_LOADED, () => resolve(), { once: true });
+    setTimeout(resolve, 5000); // senza loader non arriva mai offers:loaded
+  });
+
+  async function receiveSharedLink(search = location.search) {
+    const shared = readSharedText(search);
+    if (shared === null) return null;
+    // un ricaricamento della pagina non deve aggiungere di nuovo lo stesso link
+    try { window.history.replaceState(window.history.state, '', stripShareParams(location.href)); } catch (e) {}
+    await offersReady;
+    const offers = getOffersFromWindow();
+    const candidates = extractLinkCandidates(shared);
+    const index = candidates.findIndex(c => parseCampaignLink(c, { offers }).valid);
+    if (index === -1) {
+      const reason = candidates.length ? parseCampaignLink(candidates[0]).errors.join(' ') : t('share.noLink');
+      setPasteStatus(t('share.invalid', { reason }), true);
+      announce(t('share.invalidAnnounce'));
+      return null;
+    }
+    if (pasteLink) pasteLink.value = candidates[index];
+    const parsed = applyCampaignLink(candidates[index]);
+    await historyReady;
+    return createLink(parsed.offerKey || parsed.code, { tipoFlusso: parsed.tipoFlusso, tipoAttivazione: parsed.tipoAttivazione });
+  }
+
+  // query string dell'avvio: receiveSharedLink toglie subito shared_* dall'URL, applyDeepLink deve ancora vederli
+  const launchSearch = location.search;
+  const sharedLink = receiveSharedLink(launchSearch).catch((e) => {
+    console.warn('shared link error', e);
+    return null;
+  });
+
+  // ---- Deep link (?offer=&sim=&act=&generate=1) e stato del form riflesso nell'URL ----
+  // offerta come la sceglie GENERA: il codice personalizzato (se valido) prevale sulla select
+  function currentFormState() {
+    const custom = (customOffer && customOffer.value || '').trim();
+    const normalized = normalizeOfferCode(custom);
+    return {
+      offer: custom ? (normalized.valid ? normalized.code : '') : (offerSelect ? offerSelect.value : ''),
+      sim: simType ? simType.value : '',
+      activation: activationType ? activationType.value : ''
+    };
+  }
+
+  function generatorUrl() {
+    return withDeepLinkParams(stripShareParams(location.href), currentFormState());
+  }
+
+  // replaceState, non pushState: cambiare un controllo non aggiunge voci alla cronologia del browser
+  function mirrorFormToUrl() {
+    if (!mirrorUrl) return;
+    try {
+      const href = generatorUrl();
+      if (href !== location.href) window.history.replaceState(window.history.state, '', href);
+    } catch (e) { /* file:// o History API non disponibile */ }
+  }
+
+  [offerSelect, simType, activationType].forEach(el => {
+    if (el) el.addEventListener('change', mirrorFormToUrl);
+  });
+  if (customOffer) customOffer.addEventListener('input', mirrorFormToUrl);
+
+  // applyDeepLink(search) -> record generato | null. Precompila il form dopo offers:loaded (le opzioni
+  // di #offerSelect devono esistere) e, con generate=1 e parametri validi, genera subito il link.
+  // Un link condiviso (shared_*) ha la precedenza: lo gestisce receiveSharedLink.
+  async function applyDeepLink(search = location.search) {
+    if (readSharedText(search) !== null) return null;
+    const params = readDeepLink(search);
+    if (!params) return null;
+    await offersReady;
+
+    if (params.sim && simType) simType.value = params.sim;
+    if (params.activation && activationType) activationType.value = params.activation;
+    let code = '';
+    if (params.offer) {
+      const wanted = params.offer.toUpperCase();
+      const option = offerSelect ? Array.from(offerSelect.options).find(o => o.value && o.value.toUpperCase() === wanted) : null;
+      if (option) {
+        code = option.value;
+        offerSelect.value = code;
+        if (customOffer) customOffer.value = '';
+        showOffer(code);
+      } else {
+        // non in catalogo (o scaduta e nascosta): come per i link incollati, va nel campo personalizzato
+        code = params.offer;
+        if (offerSelect) offerSelect.value = '';
+        if (customOffer) customOffer.value = code;
+        hideDescription();
+      }
+    }
+    // l'URL viene normalizzato subito: senza generate e senza i valori non validi
+    mirrorFormToUrl();
+
+    const fields = { offer: customOffer || offerSelect, sim: simType, activation: activationType };
+    params.errors.forEach(name => showFieldError(fields[name]));
+    if (params.errors.length) {
+      announce(t('deeplink.invalid', { params: params.errors.map(name => DEEP_LINK_PARAMS[name]).join(', ') }));
+      return null;
+    }
+    if (!params.generate) return null;
+    if (!code) {
+      if (offerSelect) showFieldError(offerSelect);
+      announce(t('generate.missing'));
+      return null;
+    }
+    await historyReady;
+    return createLink(code);
+  }
+
+  const deepLink = applyDeepLink(launchSearch).catch((e) => {
+    console.warn('deep link error', e);
+    return null;
+  });
+
+  // incolla fuori dai campi di testo: un link di campagna compila direttamente i controlli
+  document.addEventListener('paste', (ev) => {
+    const t = ev.target;
+    if (t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName))) return;
+    const text = ev.clipboardData ? ev.clipboardData.getData('text').trim() : '';
+    if (!text || !parseCampaignLink(text).valid) return;
+    ev.preventDefault();
+    if (pasteLink) pasteLink.value = text;
+    applyCampaignLink(text);
+  });
+
   // ---- Error visual helper (adds red border + shake animation briefly) ----
   function showFieldError(el) {
     if (!el) return;
@@ -179,6 +770,17 @@ export function initLinkController(options = {}) {
     }, 1400);
   }
 
+  // ---- Warning non bloccante sotto GENERA (es. offerta scaduta) ----
+  let generateWarningTimer = null;
+  function showGenerateWarning(msg) {
+    announce(msg);
+    if (!generateWarning) return;
+    generateWarning.textContent = msg;
+    generateWarning.hidden = false;
+    clearTimeout(generateWarningTimer);
+    generateWarningTimer = setTimeout(() => { generateWarning.hidden = true; }, 4000);
+  }
+
   // ---- Delegated click handlers (copy/open/delete) ----
   container.addEventListener('click', async (ev) => {
     const btn = ev.target && ev.target.closest ? ev.target.closest('button') : null;
@@ -189,13 +791,74 @@ export function initLinkController(options = {}) {
       const href = box && box.dataset && box.dataset.link;
       if (href) {
         const ok = await copyToClipboard(href);
-        btn.textContent = ok ? 'Copiato!' : 'Errore';
-        announce(ok ? 'Link copiato negli appunti.' : 'Impossibile copiare il link.');
-        setTimeout(() => { btn.textContent = 'COPIA'; }, 1200);
+        btn.textContent = t(ok ? 'link.copied' : 'link.error');
+        announce(t(ok ? 'copy.ok' : 'copy.fail'));
+        setTimeout(() => { btn.textContent = t('link.copy'); }, 1200);
+      }
+      return;
+    }
+
+    if (btn.classList.contains('share')) {
+      const box = btn.closest('.link-box');
+      const record = box ? renderer.getRecord(box) : null;
+      if (record) {
+        const offer = record.offerKey ? getOffersFromWindow()[record.offerKey] : null;
+        const result = await shareLink(buildShareData(record, offer));
+        if (result === 'cancelled') return;
+        const feedback = { shared: ['link.shared', 'share.ok'], copied: ['link.copied', 'share.copied'], failed: ['link.error', 'share.fail'] }[result];
+        btn.textContent = t(feedback[0]);
+        announce(t(feedback[1]));
+        setTimeout(() => { btn.textContent = t('link.share'); }, 1200);
+      }
+      return;
+    }
+
+    if (btn.classList.contains('qr')) {
+      const box = btn.closest('.link-box');
+      const record = box ? renderer.getRecord(box) : null;
+      if (record) {
+        try {
+          qrDialog.open(record, btn);
+        } catch (e) {
+          console.warn('qr code error', e);
+          announce(t('qr.unavailable'));
+        }
       }
       return;
     }
 
+    if (btn.classList.contains('pin')) {
+      const box = btn.closest('.link-box');
+      const record = box ? renderer.getRecord(box) : null;
+      if (record) {
+        const updated = await updateLink(record.link, { pinned: !record.pinned });
+        announce(t(updated.pinned ? 'pin.on' : 'pin.off'));
+        // la box si sposta (in cima o sotto i fissati): il focus resta sul bottone
+        btn.focus();
+      }
+      return;
+    }
+
+    if (btn.classList.contains('note-btn')) {
+      const box = btn.closest('.link-box');
+      const record = box ? renderer.getRecord(box) : null;
+      if (!record) return;
+      if (btn.getAttribute('aria-expanded') === 'true') {
+        const editor = box.querySelector('.note-editor');
+        if (editor) editor.remove();
+        btn.setAttribute('aria-expanded', 'false');
+        return;
+      }
+      openNoteEditor(box, record, {
+        opener: btn,
+        onSave: async (changes) => {
+          await updateLink(record.link, changes);
+          announce(t('note.saved'));
+        }
+      });
+      return;
+    }
+
     if (btn.classList.contains('open')) {
       const box = btn.closest('.link-box');
       const href = box && box.dataset && box.dataset.link;
@@ -207,7 +870,7 @@ export function initLinkController(options = {}) {
       const box = btn.closest('.link-box');
       if (box) {
         // determine next focus target before removal
-        const next = box.nextElementSibling || box.previousElementSibling || null;
+        const next = nextFocusTarget(box);
         try {
           await renderer.removeByElement(box, { dispatchRemove: true });
         } catch (e) { /* swallow */ }
@@ -219,17 +882,33 @@ export function initLinkController(options = {}) {
     }
   });
 
+  // ---- Nota, tag e pin di un link: salvati nello store, riflessi nelle box, notificati con LINK_UPDATED ----
+  // changes: { note, tags, pinned }. Se il link non è nello store (es. errore di salvataggio) si aggiorna solo la vista.
+  async function updateLink(link, changes = {}) {
+    const box = Array.from(container.querySelectorAll('.link-box')).find(b => b.dataset.link === link);
+    const current = (box && renderer.getRecord(box)) || { link };
+    let record = null;
+    try { record = await store.updateHistoryItem(link, changes); } catch (e) { reportStoreError(e); }
+    if (!record) record = store.createHistoryItem(Object.assign({}, current, changes));
+    renderer.update(record);
+    applyLinkFilters();
+    document.dispatchEvent(new CustomEvent(EVENTS.LINK_UPDATED, {
+      detail: { link, item: record, changes, note: record.note, tags: record.tags, pinned: record.pinned }
+    }));
+    return record;
+  }
+
   // ---- Keyboard support (focusable link-boxes) ----
   container.addEventListener('keydown', async (ev) => {
     const active = document.activeElement;
     const box = active && active.classList && active.classList.contains('link-box') ? active : (active && active.closest ? active.closest('.link-box') : null);
     if (!box) return;
-    // ignore if event originated from a button inside the box (we want native button behavior)
-    if (ev.target && ev.target.tagName && ev.target.tagName.toLowerCase() === 'button') return;
+    // ignore if event originated from a button or a field inside the box (native behavior, note editor)
+    if (ev.target && ev.target.tagName && /^(button|input|textarea|select)$/i.test(ev.target.tagName)) return;
 
     if (ev.key === 'Delete' || ev.key === 'Backspace') {
       ev.preventDefault();
-      const next = box.nextElementSibling || box.previousElementSibling || null;
+      const next = nextFocusTarget(box);
       try { await renderer.removeByElement(box, { dispatchRemove: true }); } catch (e) {}
       if (next && next.focus) next.focus(); else generateBtn.focus();
       return;
@@ -250,48 +929,556 @@ export function initLinkController(options = {}) {
         const ok = await copyToClipboard(href);
         const copyBtn = box.querySelector('button.copy');
         if (copyBtn) {
-          copyBtn.textContent = ok ? 'Copiato!' : 'Errore';
-          setTimeout(() => { copyBtn.textContent = 'COPIA'; }, 1200);
+          copyBtn.textContent = t(ok ? 'link.copied' : 'link.error');
+          setTimeout(() => { copyBtn.textContent = t('link.copy'); }, 1200);
         }
-        announce(ok ? 'Link copiato negli appunti.' : 'Impossibile copiare il link.');
+        announce(t(ok ? 'copy.ok' : 'copy.fail'));
       }
     }
   });
 
+  // ---- Ctrl/Cmd+Z: annulla l'ultima rimozione (non nei campi di testo, dove vale l'undo nativo) ----
+  document.addEventListener('keydown', (ev) => {
+    if (!(ev.ctrlKey || ev.metaKey) || ev.shiftKey || ev.altKey || ev.key.toLowerCase() !== 'z') return;
+    if (!undoToast.isPending()) return;
+    const target = ev.target;
+    if (target && (target.isContentEditable || /^(input|textarea)$/i.test(target.tagName || ''))) return;
+    ev.preventDefault();
+    undoToast.trigger();
+  });
+
   // ---- Clear (cestino) handler: async and robust ----
+  // I link fissati restano, a meno di includePinned (Maiusc+clic sul cestino o palette comandi).
+  async function clearLinks({ includePinned = false } = {}) {
+    const keep = includePinned ? null : (record) => !!(record && record.pinned);
+    const removed = renderer.snapshot().filter(entry => !keep || !keep(entry.item));
+    if (removed.length === 0) {
+      announce(t(renderer.count() > 0 ? 'clear.onlyPinned' : 'clear.empty'));
+      try { await store.clearHistory({ includePinned }); } catch (e) { reportStoreError(e); }
+      if (badge) badge.textContent = String(renderer.count());
+      updateClearLabel();
+      document.dispatchEvent(new CustomEvent(EVENTS.LINKS_CLEARED, { detail: { items: [], includePinned } }));
+      return [];
+    }
+
+    clearing = true;
+    try {
+      await renderer.clear({ keep });
+    } catch (e) {
+      container.querySelectorAll('.link-box').forEach(box => {
+        if (!keep || !keep(renderer.getRecord(box))) box.remove();
+      });
+    } finally {
+      clearing = false;
+    }
+
+    try { await store.clearHistory({ includePinned }); } catch (e) { reportStoreError(e); }
+
+    if (badge) badge.textContent = String(renderer.count());
+    updateClearLabel();
+
+    // Keep offer description visible (selection persists)
+    announce(t(renderer.count() > 0 ? 'clear.donePinned' : 'clear.done'));
+    undoToast.show(t('undo.cleared', { count: removed.length }), () => restoreEntries(removed));
+    document.dispatchEvent(new CustomEvent(EVENTS.LINKS_CLEARED, { detail: { items: removed, includePinned } }));
+    // move focus to generate button for convenience
+    generateBtn.focus();
+    return removed;
+  }
+
   if (clearBtn) {
-    clearBtn.addEventListener('click', async () => {
-      const items = Array.from(container.querySelectorAll('.link-box'));
-      if (items.length === 0) {
-        announce('Non ci sono link da cancellare.');
-        try { store.clearHistory(); } catch (e) {}
-        if (badge) badge.textContent = '0';
-        try { clearBtn.setAttribute('aria-label', `Svuota i link generati (0 presenti)`); } catch (e) {}
-        document.dispatchEvent(new CustomEvent(EVENTS.LINKS_CLEARED));
+    clearBtn.addEventListener('click', (ev) => clearLinks({ includePinned: !!ev.shiftKey }));
+  }
+
+  // ---- Export / import della history (JSON completo, CSV tabellare) ----
+  function exportFilename(ext) {
+    const d = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `coolvoce-links-${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}.${ext}`;
+  }
+
+  async function exportHistory(kind) {
+    let items = [];
+    try { items = await store.loadHistory(); } catch (e) { reportStoreError(e); return; }
+    if (items.length === 0) {
+      announce(t('export.empty'));
+      return;
+    }
+    const ok = kind === 'csv'
+      ? downloadFile(exportFilename('csv'), historyToCsv(items), 'text/csv')
+      : downloadFile(exportFilename('json'), historyToJson(items), 'application/json');
+    announce(ok ? t('export.done', { count: items.length }) : t('export.fail'));
+  }
+
+  async function importHistory(file) {
+    if (!file) return;
+    await historyReady;
+    let result;
+    try {
+      const text = await file.text();
+      const existing = await store.loadHistory();
+      const format = /\.csv$/i.test(file.name || '') ? 'csv' : undefined;
+      result = parseHistoryImport(text, { format, existingLinks: existing.map(it => it.link) });
+    } catch (e) {
+      console.warn('history import error', e);
+      announce(t('import.invalid'));
+      return;
+    }
+    if (result.errors.length) console.warn('history import: entries skipped', result.errors);
+    if (result.items.length) {
+      try {
+        await store.saveHistoryItems(result.items);
+        renderer.render(await store.loadHistory());
+        updateClearLabel();
+      } catch (e) {
+        reportStoreError(e);
         return;
       }
+    }
+    announce(t('import.done', { added: result.items.length, skipped: result.skipped }));
+  }
+
+  if (exportJsonBtn) exportJsonBtn.addEventListener('click', () => exportHistory('json'));
+  if (exportCsvBtn) exportCsvBtn.addEventListener('click', () => exportHistory('csv'));
+  if (importBtn && importInput) {
+    importBtn.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files && importInput.files[0];
+      await importHistory(file);
+      // reset: permette di reimportare lo stesso file
+      importInput.value = '';
+    });
+  }
+
+  // ---- Generate behaviour (with visual error feedback) ----
+  // buildLinkItem: record di history per codice + SIM/attivazione (nessun side effect).
+  function buildLinkItem(code, { tipoFlusso, tipoAttivazione, ts = Date.now() }) {
+    const prefix = tipoFlusso === 'ESIM' ? ESIM_PREFIX : '';
+    const rawCode = prefix + code;
+    const link = buildCampaignLink({ tipoFlusso, tipoAttivazione, codiceCampagna: rawCode });
+    // snapshot della label: resta leggibile anche se l'offerta sparisce dal catalogo
+    const offer = getOffersFromWindow()[code];
+    return store.createHistoryItem({
+      link,
+      offerKey: code,
+      offerLabel: (offer && offer.label) ? String(offer.label) : '',
+      tipoFlusso,
+      tipoAttivazione,
+      rawCode,
+      ts
+    });
+  }
+
+  // createLink: percorso unico di generazione (GENERA, tabella di confronto, ...).
+  // `code` è già normalizzato; SIM/attivazione di default dai controlli del form.
+  // Il feedback "GENERATO" sul bottone resta al click di GENERA: da qui passano anche gli altri percorsi di generazione.
+  async function createLink(code, {
+    tipoFlusso = simType ? simType.value : '',
+    tipoAttivazione = activationType ? activationType.value : ''
+  } = {}) {
+    const item = buildLinkItem(code, { tipoFlusso, tipoAttivazione });
+    const link = item.link;
+    const offer = getOffersFromWindow()[code];
+
+    // Persist then render
+    await historyReady;
+    // un link già in elenco tiene nota, tag e pin (lo store fa lo stesso)
+    const previous = Array.from(container.querySelectorAll('.link-box')).find(b => b.dataset.link === link && b.dataset.deleting !== '1');
+    const previousRecord = previous ? renderer.getRecord(previous) : null;
+    if (previousRecord) Object.assign(item, { note: previousRecord.note || '', tags: previousRecord.tags || [], pinned: !!previousRecord.pinned });
+    store.saveHistoryItem(item).catch(reportStoreError);
+    const box = renderer.add(item, { markLatest: true });
+    document.dispatchEvent(new CustomEvent(EVENTS.LINK_ADDED, {
+      detail: { link, item, note: item.note, tags: item.tags, pinned: item.pinned }
+    }));
+
+    // move focus to newly created box for keyboard users
+    if (box && box.hidden) announce(t('generate.hidden'));
+    else if (box && box.focus) box.focus();
+
+    if (isOfferExpired(offer)) {
+      const until = formatDate(offer.expires);
+      const name = offer.label || code;
+      showGenerateWarning(until ? t('generate.expiredOn', { name, date: until }) : t('generate.expired', { name }));
+    }
+    return item;
+  }
+
+  // ---- Generazione multipla (offerte × SIM × attivazione) ----
+  // Salva tutto in un colpo: lo store deduplica per link, poi l'elenco viene ridisegnato dallo store
+  // (come l'import). Il primo link della matrice finisce in cima. Restituisce i record del batch.
+  // Con un limite della history (localStorage: HISTORY_LIMIT) lo store può scartarne una parte:
+  // lastBatchKept conta quelli rimasti in elenco.
+  let lastBatch = [];
+  let lastBatchKept = 0;
+
+  async function generateBatch({ codes = [], simTypes = [], activations = [] } = {}) {
+    const combos = buildBatchCombos({ codes, simTypes, activations });
+    if (combos.length === 0) return [];
+    if (combos.length > BATCH_LIMIT) throw new Error(`batch too large (${combos.length} > ${BATCH_LIMIT})`);
+    await historyReady;
+    const base = Date.now();
+    const items = combos.map((combo, i) => buildLinkItem(combo.code, {
+      tipoFlusso: combo.tipoFlusso,
+      tipoAttivazione: combo.tipoAttivazione,
+      ts: base + (combos.length - 1 - i)
+    }));
+    await store.saveHistoryItems(items);
+    const saved = await store.loadHistory();
+    renderer.render(saved);
+    updateClearLabel();
+    updateFilterStatus();
+    const savedLinks = new Set(saved.map(it => it.link));
+    lastBatch = items;
+    lastBatchKept = items.filter(it => savedLinks.has(it.link)).length;
+    return items;
+  }
+
+  function checkedValues(name) {
+    return Array.from(document.querySelectorAll(`input[name="${name}"]:checked`)).map(el => el.value);
+  }
+
+  function readBatchForm() {
+    const selected = batchOffers ? Array.from(batchOffers.selectedOptions).map(o => o.value) : [];
+    const parsed = parseCodeList(batchCodes ? batchCodes.value : '');
+    const codes = selected.concat(parsed.codes).filter((c, i, a) => c && a.indexOf(c) === i);
+    return { codes, invalid: parsed.invalid, simTypes: checkedValues('batchSim'), activations: checkedValues('batchActivation') };
+  }
+
+  function updateBatchCount() {
+    if (!batchCount) return;
+    const form = readBatchForm();
+    const total = buildBatchCombos(form).length;
+    let text = t('batch.count', { count: total });
+    if (total > BATCH_LIMIT) text += ' ' + t('batch.max', { max: BATCH_LIMIT });
+    if (form.invalid.length) text += ' · ' + t('batch.invalidCodes', { codes: form.invalid.join(', ') });
+    batchCount.textContent = text;
+    if (batchGenerateBtn) batchGenerateBtn.disabled = total === 0 || total > BATCH_LIMIT;
+  }
+
+  function showBatchResult(items) {
+    if (!batchResult || !batchList) return;
+    batchList.innerHTML = items.map(it =>
+      '<li><span class="batch-offer">'+escapeHtml(it.offerLabel || it.offerKey)+'</span> '+
+      '<span class="chip">'+escapeHtml(simLabel(it.tipoFlusso))+'</span> '+
+      '<span class="chip">'+escapeHtml(activationLabel(it.tipoAttivazione))+'</span> '+
+      '<a href="'+escapeHtml(it.link)+'" target="_blank" rel="noopener noreferrer">'+escapeHtml(it.link)+'</a></li>').join('');
+    batchResult.hidden = items.length === 0;
+  }
+
+  // select multipla di offerte (batch, foglio di stampa): mantiene la selezione e segue "NASCONDI SCADUTE"
+  function fillOfferMultiSelect(select, offers) {
+    const selected = new Set(Array.from(select.selectedOptions).map(o => o.value));
+    const hideExpired = hideExpiredToggle ? hideExpiredToggle.checked : getHideExpired();
+    select.innerHTML = '';
+    Object.keys(offers || {})
+      .filter(key => !(hideExpired && isOfferExpired(offers[key])))
+      .forEach(key => {
+        const opt = document.createElement('option');
+        opt.value = key;
+        opt.textContent = (offers[key] && offers[key].label) ? `${offers[key].label} (${key})` : key;
+        opt.selected = selected.has(key);
+        select.appendChild(opt);
+      });
+  }
+
+  function populateBatchOffers(offers) {
+    if (!batchOffers) return;
+    fillOfferMultiSelect(batchOffers, offers);
+    updateBatchCount();
+  }
 
+  if (batchToggle && batchPanel) {
+    batchToggle.setAttribute('aria-controls', batchPanel.id);
+    batchToggle.setAttribute('aria-expanded', batchPanel.hidden ? 'false' : 'true');
+    batchToggle.addEventListener('click', () => {
+      batchPanel.hidden = !batchPanel.hidden;
+      batchToggle.setAttribute('aria-expanded', batchPanel.hidden ? 'false' : 'true');
+      if (!batchPanel.hidden) populateBatchOffers(getOffersFromWindow());
+    });
+    batchPanel.addEventListener('input', updateBatchCount);
+    batchPanel.addEventListener('change', updateBatchCount);
+  }
+
+  if (batchGenerateBtn) {
+    batchGenerateBtn.addEventListener('click', async () => {
+      const form = readBatchForm();
+      let items = [];
       try {
-        await renderer.clear();
+        items = await generateBatch(form);
       } catch (e) {
-        container.innerHTML = '';
+        reportStoreError(e);
+        return;
+      }
+      if (items.length === 0) {
+        announce(t('batch.empty'));
+        return;
       }
+      showBatchResult(items);
+      let message = t('batch.done', { count: items.length });
+      if (lastBatchKept < items.length) message += ' ' + t('batch.trimmed', { count: lastBatchKept });
+      announce(message);
+      batchGenerateBtn.textContent = t('batch.generated');
+      setTimeout(() => { batchGenerateBtn.textContent = t('batch.generate'); }, 1400);
+    });
+  }
 
-      try { store.clearHistory(); } catch (e) {}
+  if (batchCopyBtn) {
+    batchCopyBtn.addEventListener('click', async () => {
+      if (lastBatch.length === 0) return;
+      const ok = await copyToClipboard(lastBatch.map(it => it.link).join('\n'));
+      announce(ok ? t('batch.copied', { count: lastBatch.length }) : t('batch.copyFail'));
+    });
+  }
 
-      if (badge) badge.textContent = String(renderer.count());
-      try { clearBtn.setAttribute('aria-label', `Svuota i link generati (${renderer.count()} presenti)`); } catch (e) {}
+  function exportBatch(kind) {
+    if (lastBatch.length === 0) return;
+    const name = exportFilename(kind).replace('coolvoce-links-', 'coolvoce-batch-');
+    const ok = kind === 'csv'
+      ? downloadFile(name, historyToCsv(lastBatch), 'text/csv')
+      : downloadFile(name, historyToJson(lastBatch), 'application/json');
+    announce(ok ? t('batch.exported', { count: lastBatch.length }) : t('export.fail'));
+  }
+  if (batchExportCsvBtn) batchExportCsvBtn.addEventListener('click', () => exportBatch('csv'));
+  if (batchExportJsonBtn) batchExportJsonBtn.addEventListener('click', () => exportBatch('json'));
 
-      // Keep offer description visible (selection persists)
-      announce('Elenco link svuotato.');
-      document.dispatchEvent(new CustomEvent(EVENTS.LINKS_CLEARED));
-      // move focus to generate button for convenience
-      generateBtn.focus();
+  // ---- Foglio stampabile (offerte selezionate + link generati + QR) ----
+  // Le offerte senza link nella history usano un link costruito con SIM/attivazione del form (non salvato).
+  let sheetRender = Promise.resolve(0);
+  // ogni refresh prende un token: un render più vecchio che finisce dopo non ridisegna l'anteprima
+  let sheetToken = 0;
+
+  function populateSheetOffers(offers) {
+    if (!sheetOffers) return;
+    fillOfferMultiSelect(sheetOffers, offers);
+    refreshSheet();
+  }
+
+  function refreshSheet() {
+    if (!sheetPanel || sheetPanel.hidden || !sheetPreview) return sheetRender;
+    const keys = sheetOffers ? Array.from(sheetOffers.selectedOptions).map(o => o.value) : [];
+    const token = ++sheetToken;
+    sheetRender = (async () => {
+      let history = [];
+      try { history = await store.loadHistory(); } catch (e) { reportStoreError(e); }
+      // superato da un refresh successivo: vale il suo risultato (anche per printSheet)
+      if (token !== sheetToken) return sheetRender;
+      const entries = buildSheetEntries(getOffersFromWindow(), keys, {
+        history,
+        fallback: (key) => buildLinkItem(key, {
+          tipoFlusso: simType ? simType.value : '',
+          tipoAttivazione: activationType ? activationType.value : ''
+        })
+      });
+      const count = renderOfferSheet(sheetPreview, entries);
+      if (sheetPrintBtn) sheetPrintBtn.disabled = count === 0;
+      return count;
+    })();
+    return sheetRender;
+  }
+
+  // stampa solo il foglio (css/print.css), con palette chiara anche se il tema è scuro
+  async function printSheet() {
+    if (!sheetPanel) return;
+    if (sheetPanel.hidden) {
+      sheetPanel.hidden = false;
+      if (sheetToggle) sheetToggle.setAttribute('aria-expanded', 'true');
+    }
+    const count = await refreshSheet();
+    if (!count || typeof window.print !== 'function') return;
+    document.body.classList.add('printing-sheet');
+    const done = () => {
+      document.body.classList.remove('printing-sheet');
+      window.removeEventListener('afterprint', done);
+    };
+    window.addEventListener('afterprint', done);
+    try { window.print(); } catch (e) { done(); }
+  }
+
+  if (sheetToggle && sheetPanel) {
+    sheetToggle.setAttribute('aria-controls', sheetPanel.id);
+    sheetToggle.setAttribute('aria-expanded', sheetPanel.hidden ? 'false' : 'true');
+    sheetToggle.addEventListener('click', () => {
+      sheetPanel.hidden = !sheetPanel.hidden;
+      sheetToggle.setAttribute('aria-expanded', sheetPanel.hidden ? 'false' : 'true');
+      if (!sheetPanel.hidden) populateSheetOffers(getOffersFromWindow());
     });
   }
+  if (sheetOffers) sheetOffers.addEventListener('change', refreshSheet);
+  if (sheetSelectAllBtn && sheetOffers) {
+    sheetSelectAllBtn.addEventListener('click', () => {
+      Array.from(sheetOffers.options).forEach(o => { o.selected = true; });
+      refreshSheet();
+    });
+  }
+  if (sheetPrintBtn) sheetPrintBtn.addEventListener('click', printSheet);
 
-  // ---- Generate behaviour (with visual error feedback) ----
-  generateBtn.addEventListener('click', () => {
+  // ---- Lingua dell'interfaccia (i18n.js): markup statico, box e pannelli senza ricaricare ----
+  function refreshLanguage() {
+    renderer.refreshLabels();
+    undoToast.setActionLabel(t('undo.action'));
+    populateOffers(getOffersFromWindow());
+    updateClearLabel();
+    updateFilterStatus();
+    refreshCompare();
+    refreshTimeline();
+    if (batchResult && !batchResult.hidden) showBatchResult(lastBatch);
+    if (offersBanner && !offersBanner.hidden) showOffersReport(lastReport);
+    if (offersChanges && !offersChanges.hidden && lastDiff) showOffersChanges(lastDiff);
+    if (offerSelect && offerSelect.value) showOffer(offerSelect.value);
+    if (langSelect) langSelect.value = getLang();
+  }
+
+  if (langSelect) {
+    langSelect.innerHTML = LANGUAGES.map(l =>
+      '<option value="'+escapeHtml(l.code)+'" lang="'+escapeHtml(l.code)+'">'+escapeHtml(l.label)+'</option>').join('');
+    langSelect.value = getLang();
+    langSelect.addEventListener('change', () => setLang(langSelect.value));
+  }
+  document.documentElement.lang = getLang();
+  translateDom();
+  onLangChange(refreshLanguage);
+
+  // ---- Tastiera: frecce tra i link (roving tabindex), scorciatoie globali, palette comandi ----
+  // Scorciatoie sempre con modificatore (niente tasti singoli che collidano con la digitazione o gli screen reader).
+  // Alt+Shift usa ev.code: su macOS Option+lettera produce un carattere diverso in ev.key.
+  const roving = createRovingFocus(container);
+
+  function cycleSelect(select, announceKey, labelFn) {
+    if (!select || select.options.length === 0) return;
+    select.selectedIndex = (select.selectedIndex + 1) % select.options.length;
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    announce(t(announceKey, { value: labelFn(select.value) }));
+  }
+
+  const toggleSim = () => cycleSelect(simType, 'kbd.sim', simLabel);
+  const toggleActivation = () => cycleSelect(activationType, 'kbd.activation', activationLabel);
+
+  function focusOfferSelect() {
+    const target = offerSelect || customOffer;
+    if (target) target.focus();
+  }
+
+  async function copyLatestLink() {
+    const box = container.querySelector('.link-box.latest') || container.querySelector('.link-box');
+    const href = box && box.dataset && box.dataset.link;
+    if (!href) {
+      announce(t('cmd.noLinks'));
+      return;
+    }
+    const ok = await copyToClipboard(href);
+    announce(t(ok ? 'copy.ok' : 'copy.fail'));
+  }
+
+  function getShortcuts() {
+    return [
+      { keys: 'Mod+K', label: t('cmd.palette') },
+      { keys: 'Mod+/', label: t('cmd.help') },
+      { keys: 'Alt+Shift+O', label: t('cmd.focusOffer') },
+      { keys: 'Alt+Shift+S', label: t('cmd.toggleSim') },
+      { keys: 'Alt+Shift+A', label: t('cmd.toggleActivation') },
+      { keys: 'Alt+Shift+G', label: t('cmd.generate') },
+      { keys: 'Mod+Enter', label: t('cmd.generate') },
+      { keys: '↑ / ↓', label: t('help.arrows') },
+      { keys: 'Home / End', label: t('help.homeEnd') },
+      { keys: '← / →', label: t('help.leftRight') },
+      { keys: 'Enter', label: t('help.open') },
+      { keys: 'Delete', label: t('help.delete') },
+      { keys: 'Mod+C', label: t('help.copy') },
+      { keys: 'Mod+Z', label: t('cmd.undo') }
+    ];
+  }
+
+  // elenco ricostruito a ogni apertura: catalogo, filtri, tema e lingua correnti
+  function getCommands() {
+    const commands = [];
+    const add = (id, label, run, extra) => commands.push(Object.assign({ id, label, run }, extra));
+    const clickable = (btn) => btn && !btn.disabled;
+
+    add('generate', t('cmd.generate'), () => generateBtn.click(), { shortcut: 'Alt+Shift+G' });
+    add('focus-offer', t('cmd.focusOffer'), focusOfferSelect, { shortcut: 'Alt+Shift+O' });
+    if (simType) add('toggle-sim', t('cmd.toggleSim'), toggleSim, { shortcut: 'Alt+Shift+S', keywords: ['esim'] });
+    if (activationType) add('toggle-activation', t('cmd.toggleActivation'), toggleActivation, { shortcut: 'Alt+Shift+A', keywords: ['mnp'] });
+    if (renderer.count() > 0) {
+      add('copy-latest', t('cmd.copyLatest'), copyLatestLink);
+      add('clear', t('cmd.clear'), () => clearLinks());
+      if (renderer.snapshot().some(entry => entry.item && entry.item.pinned)) {
+        add('clear-all', t('cmd.clearAll'), () => clearLinks({ includePinned: true }), { keywords: ['pin'] });
+      }
+    }
+    add('copy-generator', t('cmd.copyGeneratorLink'), async () => {
+      const ok = await copyToClipboard(generatorUrl());
+      announce(t(ok ? 'deeplink.copied' : 'copy.fail'));
+    }, { keywords: ['url', 'deep link', 'bookmark'] });
+    if (undoToast.isPending()) add('undo', t('cmd.undo'), () => undoToast.trigger(), { shortcut: 'Mod+Z' });
+    if (exportJsonBtn) add('export-json', t('cmd.exportJson'), () => exportHistory('json'), { keywords: ['json'] });
+    if (exportCsvBtn) add('export-csv', t('cmd.exportCsv'), () => exportHistory('csv'), { keywords: ['csv'] });
+    if (importBtn && importInput) add('import', t('cmd.import'), () => importInput.click());
+    [['compare', compareToggle], ['timeline', timelineToggle], ['batch', batchToggle], ['sheet', sheetToggle]]
+      .forEach(([name, btn]) => { if (clickable(btn)) add('toggle-' + name, t('cmd.' + name), () => btn.click()); });
+    if (sheetPanel) add('print-sheet', t('cmd.printSheet'), printSheet);
+
+    const theme = window.CoolVoceTheme;
+    if (theme && typeof theme.setTheme === 'function') {
+      (theme.THEMES || []).forEach(name => {
+        add('theme-' + name, t('cmd.theme', { name: t('theme.' + name) }), () => theme.setTheme(name), { keywords: ['tema', 'theme'] });
+      });
+    }
+    LANGUAGES.filter(l => l.code !== getLang()).forEach(l => {
+      add('lang-' + l.code, t('cmd.language', { name: l.label }), () => setLang(l.code), { keywords: ['lingua', 'language'] });
+    });
+    add('help', t('cmd.help'), () => shortcutHelp.open(shortcutsBtn || generateBtn), { shortcut: 'Mod+/' });
+
+    // una voce per offerta (rispetta "nascondi scadute")
+    const offers = getOffersFromWindow();
+    const hideExpired = hideExpiredToggle ? hideExpiredToggle.checked : getHideExpired();
+    Object.keys(offers)
+      .filter(key => !(hideExpired && isOfferExpired(offers[key])))
+      .forEach(key => {
+        const name = (offers[key] && offers[key].label) ? offers[key].label : key;
+        add('generate-' + key, t('cmd.generateFor', { name }), () => generateForOffer(key), { keywords: [key] });
+      });
+    return commands;
+  }
+
+  const palette = createCommandPalette({ getCommands });
+  const shortcutHelp = createShortcutHelp({ getShortcuts });
+
+  if (shortcutsBtn) shortcutsBtn.addEventListener('click', () => shortcutHelp.open(shortcutsBtn));
+
+  document.addEventListener('keydown', (ev) => {
+    if (ev.defaultPrevented) return;
+    const mod = (ev.ctrlKey || ev.metaKey) && !ev.altKey;
+    const key = (ev.key || '').toLowerCase();
+
+    // Ctrl/Cmd+K: palette (anche dai campi di testo); una seconda pressione la chiude
+    if (mod && !ev.shiftKey && key === 'k') {
+      ev.preventDefault();
+      if (palette.isOpen()) palette.close();
+      else if (!shortcutHelp.isOpen()) palette.open(ev.target);
+      return;
+    }
+    if (palette.isOpen() || shortcutHelp.isOpen()) return;
+
+    if (mod && (key === '/' || ev.code === 'Slash')) {
+      ev.preventDefault();
+      shortcutHelp.open(ev.target);
+      return;
+    }
+    if (mod && !ev.shiftKey && key === 'enter') {
+      ev.preventDefault();
+      generateBtn.click();
+      return;
+    }
+    if (ev.altKey && ev.shiftKey && !ev.ctrlKey && !ev.metaKey) {
+      const action = { KeyO: focusOfferSelect, KeyS: toggleSim, KeyA: toggleActivation, KeyG: () => generateBtn.click() }[ev.code];
+      if (!action) return;
+      ev.preventDefault();
+      action();
+    }
+  });
+
+  generateBtn.addEventListener('click', async () => {
     const custom = (customOffer && customOffer.value || '').trim();
     const selected = (offerSelect && offerSelect.value || '').trim();
     const chosen = custom !== '' ? custom : selected;
@@ -301,7 +1488,7 @@ export function initLinkController(options = {}) {
       // prefer focusing the select if it is visible / present
       if (offerSelect) showFieldError(offerSelect);
       if (customOffer) showFieldError(customOffer);
-      announce('Seleziona o inserisci il codice offerta.');
+      announce(t('generate.missing'));
       return;
     }
 
@@ -310,27 +1497,15 @@ export function initLinkController(options = {}) {
       // indicate the specific field with error
       if (custom !== '') showFieldError(customOffer);
       else showFieldError(offerSelect);
-      announce('Codice offerta non valido.');
+      announce(t('generate.invalid'));
       return;
     }
-    const tipoFlusso = simType ? simType.value : '';
-    const tipoAttivazione = activationType ? activationType.value : '';
-    const prefix = tipoFlusso === 'ESIM' ? 'ES_' : '';
-    const rawCode = prefix + code;
-    const link = buildCampaignLink({ tipoFlusso, tipoAttivazione, codiceCampagna: rawCode });
-
-    // Persist then render
-    store.saveHistoryItem({ link, ts: Date.now() });
-    const box = renderer.add(link, { markLatest: true });
-    document.dispatchEvent(new CustomEvent(EVENTS.LINK_ADDED, { detail: { link } }));
-
-    // move focus to newly created box for keyboard users
-    if (box && box.focus) box.focus();
+    await createLink(code);
 
     // UI feedback
-    generateBtn.textContent = 'GENERATO';
-    setTimeout(() => { generateBtn.textContent = 'GENERA'; }, 1400);
+    generateBtn.textContent = t('generate.done');
+    setTimeout(() => { generateBtn.textContent = t('generate.button'); }, 1400);
   });
 
-  return { renderer, store, populateOffers, showOffer };
+  return { renderer, store, populateOffers, showOffer, hydrateHistory, historyReady, exportHistory, importHistory, undo: undoToast.trigger, applyLinkFilters, createLink, generateBatch, applyCampaignLink, receiveSharedLink, sharedLink, printSheet, compareTable, offersTimeline, generateForOffer, roving, palette, shortcutHelp, updateLink, clearLinks, applyDeepLink, deepLink };
 }
\ No newline at end of file
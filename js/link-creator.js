@@ -1,6 +1,14 @@
-// Pure functions per costruire e normalizzare i codici/link.
+// Pure functions per costruire, leggere e normalizzare i codici/link.
 // Facile da testare, senza side effect.
 
+import { t } from './i18n.js';
+
+export const CAMPAIGN_HOST = 'shop.coopvoce.it';
+export const SIM_TYPES = ['SPEDIZIONE', 'ESIM'];
+export const ACTIVATION_TYPES = ['1', '2'];
+// prefisso del codice campagna per i link eSIM
+export const ESIM_PREFIX = 'ES_';
+
 export function normalizeOfferCode(raw) {
   if (!raw) return { code: '', valid: false };
   const trimmed = raw.trim();
@@ -18,5 +26,71 @@ export function buildCampaignLink({ tipoFlusso = '', tipoAttivazione = '', codic
     tipoAttivazione,
     codiceCampagna
   });
-  return `https://shop.coopvoce.it/?${params.toString()}`;
+  return `https://${CAMPAIGN_HOST}/?${params.toString()}`;
+}
+
+// chiave del catalogo per `code`: esatta, altrimenti senza distinzione maiuscole/minuscole
+function findOfferKey(offers, code) {
+  if (!offers || !code) return '';
+  if (Object.prototype.hasOwnProperty.call(offers, code)) return code;
+  const upper = code.toUpperCase();
+  return Object.keys(offers).find(key => key.toUpperCase() === upper) || '';
+}
+
+/**
+ * parseCampaignLink(url, { offers }) -> { valid, errors, tipoFlusso, tipoAttivazione, rawCode, code, offerKey }
+ * Pure function, inversa di buildCampaignLink. Accetta anche il link senza schema
+ * ("shop.coopvoce.it/?...") e spazi/a capo attorno (es. testo incollato).
+ * - host diverso da shop.coopvoce.it, parametri mancanti o non validi -> valid: false, errors nella lingua corrente
+ * - prefisso ES_ nel codice -> tipoFlusso ESIM (anche se tipoFlusso manca), `code` senza prefisso
+ * - offerKey: codice corrispondente in `offers` (catalogo), '' se l'offerta non è nota
+ */
+export function parseCampaignLink(url, { offers = null } = {}) {
+  const result = { valid: false, errors: [], tipoFlusso: '', tipoAttivazione: '', rawCode: '', code: '', offerKey: '' };
+  let text = String(url || '').trim();
+  if (!text) {
+    result.errors.push(t('parse.empty'));
+    return result;
+  }
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) text = 'https://' + text;
+
+  let parsed;
+  try {
+    parsed = new URL(text);
+  } catch (e) {
+    result.errors.push(t('parse.notUrl'));
+    return result;
+  }
+  if (!/^https?:$/.test(parsed.protocol) || parsed.hostname.toLowerCase() !== CAMPAIGN_HOST) {
+    result.errors.push(t('parse.host', { host: CAMPAIGN_HOST }));
+    return result;
+  }
+
+  const params = parsed.searchParams;
+  const rawCode = (params.get('codiceCampagna') || '').trim();
+  let tipoFlusso = (params.get('tipoFlusso') || '').trim().toUpperCase();
+  const tipoAttivazione = (params.get('tipoAttivazione') || '').trim();
+  const hasPrefix = rawCode.toUpperCase().startsWith(ESIM_PREFIX);
+  const { code, valid } = normalizeOfferCode(hasPrefix ? rawCode.slice(ESIM_PREFIX.length) : rawCode);
+
+  if (!rawCode) result.errors.push(t('parse.noCode'));
+  else if (!valid) result.errors.push(t('parse.badCode', { code: rawCode }));
+
+  if (!tipoFlusso && hasPrefix) tipoFlusso = 'ESIM';
+  if (!tipoFlusso) result.errors.push(t('parse.noSim'));
+  else if (!SIM_TYPES.includes(tipoFlusso)) result.errors.push(t('parse.badSim', { value: tipoFlusso }));
+  else if (tipoFlusso === 'SPEDIZIONE' && hasPrefix) result.errors.push(t('parse.simMismatch', { code: rawCode }));
+
+  if (!tipoAttivazione) result.errors.push(t('parse.noActivation'));
+  else if (!ACTIVATION_TYPES.includes(tipoAttivazione)) result.errors.push(t('parse.badActivation', { value: tipoAttivazione }));
+
+  Object.assign(result, {
+    valid: result.errors.length === 0,
+    tipoFlusso,
+    tipoAttivazione,
+    rawCode,
+    code: valid ? code : '',
+    offerKey: valid ? findOfferKey(offers, code) : ''
+  });
+  return result;
 }
\ No newline at end of file
@@ -0,0 +1,74 @@
+// js/link-deeplink.js
+// Parametri dell'URL della pagina che precompilano il generatore (link "preconfigurati" da salvare o inviare):
+//   index.html?offer=EVO100_MNP4&sim=ESIM&act=2&generate=1
+// - readDeepLink(search): pure function, legge e valida i parametri (null se non ce ne sono)
+// - withDeepLinkParams(href, state): URL della pagina con lo stato del form (il controller lo scrive con history.replaceState)
+// I parametri della condivisione (shared_*, link-share.js) sono separati: il controller li toglie con stripShareParams.
+
+import { normalizeOfferCode, SIM_TYPES, ACTIVATION_TYPES, ESIM_PREFIX } from './link-creator.js';
+
+export const DEEP_LINK_PARAMS = { offer: 'offer', sim: 'sim', activation: 'act', generate: 'generate' };
+
+// valori accettati oltre a quelli di link-creator (maiuscole/minuscole indifferenti)
+const SIM_ALIASES = { SIM: 'SPEDIZIONE', FISICA: 'SPEDIZIONE', PHYSICAL: 'SPEDIZIONE', 'E-SIM': 'ESIM' };
+const ACTIVATION_ALIASES = { NUOVA: '1', NEW: '1', MNP: '2', PORTABILITA: '2' };
+const TRUE_VALUES = ['1', 'true', 'yes', 'si', 'sì'];
+
+function pickValue(raw, allowed, aliases) {
+  const value = String(raw).trim().toUpperCase();
+  if (allowed.includes(value)) return value;
+  return aliases[value] || '';
+}
+
+/**
+ * readDeepLink(search) -> null | { offer, sim, activation, generate, errors }
+ * offer: codice normalizzato ('' se assente); sim: 'SPEDIZIONE' | 'ESIM' | ''; activation: '1' | '2' | '';
+ * generate: true con generate=1. errors: nomi dei campi non validi ('offer' | 'sim' | 'activation'),
+ * i valori non validi restano vuoti. Un codice con prefisso eSIM (ES_) senza `sim` implica sim=ESIM.
+ */
+export function readDeepLink(search) {
+  const params = new URLSearchParams(search || '');
+  const names = Object.values(DEEP_LINK_PARAMS);
+  if (!names.some(name => params.has(name))) return null;
+
+  const result = { offer: '', sim: '', activation: '', generate: false, errors: [] };
+  const rawOffer = (params.get(DEEP_LINK_PARAMS.offer) || '').trim();
+  const rawSim = params.get(DEEP_LINK_PARAMS.sim);
+  const rawActivation = params.get(DEEP_LINK_PARAMS.activation);
+
+  if (rawOffer) {
+    const { code, valid } = normalizeOfferCode(rawOffer);
+    if (!valid) result.errors.push('offer');
+    else if (code.toUpperCase().startsWith(ESIM_PREFIX) && rawSim === null) {
+      result.offer = code.slice(ESIM_PREFIX.length);
+      result.sim = 'ESIM';
+    } else {
+      result.offer = code;
+    }
+  }
+  if (rawSim !== null) {
+    result.sim = pickValue(rawSim, SIM_TYPES, SIM_ALIASES);
+    if (!result.sim) result.errors.push('sim');
+  }
+  if (rawActivation !== null) {
+    result.activation = pickValue(rawActivation, ACTIVATION_TYPES, ACTIVATION_ALIASES);
+    if (!result.activation) result.errors.push('activation');
+  }
+  result.generate = TRUE_VALUES.includes(String(params.get(DEEP_LINK_PARAMS.generate) || '').trim().toLowerCase());
+  return result;
+}
+
+/**
+ * withDeepLinkParams(href, { offer, sim, activation }) -> href
+ * Sostituisce i parametri del generatore (i vuoti vengono tolti) e conserva gli altri e l'hash.
+ * `generate` viene sempre tolto: ricaricare o salvare la pagina non deve rigenerare il link.
+ */
+export function withDeepLinkParams(href, { offer = '', sim = '', activation = '' } = {}) {
+  const url = new URL(href);
+  const values = { offer, sim, activation, generate: '' };
+  Object.keys(DEEP_LINK_PARAMS).forEach(key => {
+    if (values[key]) url.searchParams.set(DEEP_LINK_PARAMS[key], values[key]);
+    else url.searchParams.delete(DEEP_LINK_PARAMS[key]);
+  });
+  return url.href;
+}
\ No newline at end of file
@@ -0,0 +1,47 @@
+// js/link-filter.js
+// Pure functions per filtrare e ordinare i record della history mostrati nel renderer.
+// Nessun accesso al DOM: il controller legge la barra filtri e passa predicate/comparator al renderer.
+
+import { getLang } from './i18n.js';
+
+/**
+ * createLinkFilter({ query, sim, activation }) -> (record) => boolean
+ * query: testo libero (case-insensitive) su link, codice offerta, label, nota e tag; sim: 'SPEDIZIONE' | 'ESIM' | '';
+ * activation: '1' | '2' | ''. Criteri vuoti = nessun filtro.
+ */
+export function createLinkFilter({ query = '', sim = '', activation = '' } = {}) {
+  const terms = String(query).trim().toLowerCase().split(/\s+/).filter(Boolean);
+  return (record) => {
+    if (!record) return false;
+    if (sim && record.tipoFlusso !== sim) return false;
+    if (activation && record.tipoAttivazione !== activation) return false;
+    if (terms.length === 0) return true;
+    const tags = Array.isArray(record.tags) ? record.tags.map(tag => '#' + tag) : [];
+    const haystack = [record.link, record.offerKey, record.rawCode, record.offerLabel, record.note].concat(tags)
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    // tutti i termini devono comparire (AND)
+    return terms.every(t => haystack.includes(t));
+  };
+}
+
+export function isFilterActive({ query = '', sim = '', activation = '' } = {}) {
+  return String(query).trim() !== '' || !!sim || !!activation;
+}
+
+const ts = (r) => Number(r && r.ts) || 0;
+const offerName = (r) => String((r && (r.offerKey || r.rawCode)) || '');
+
+// comparatori sui record; 'date-desc' è l'ordine naturale del renderer (il più recente in cima)
+export const LINK_SORTS = {
+  'date-desc': (a, b) => ts(b) - ts(a),
+  'date-asc': (a, b) => ts(a) - ts(b),
+  'offer': (a, b) => offerName(a).localeCompare(offerName(b), getLang(), { sensitivity: 'base' }) || ts(b) - ts(a)
+};
+
+export const DEFAULT_SORT = 'date-desc';
+
+export function getLinkSort(name) {
+  return LINK_SORTS[name] || LINK_SORTS[DEFAULT_SORT];
+}
\ No newline at end of file
@@ -0,0 +1,96 @@
+// js/link-notes.js
+// Editor in linea di nota e tag di un link (bottone "NOTA" della box).
+// Il form compare sotto il link; "SALVA" (o Ctrl/Cmd+Invio nella nota, Invio nei tag) chiama onSave,
+// Esc o "ANNULLA" chiudono senza salvare. Alla chiusura il focus torna sul bottone che l'ha aperto.
+// API: openNoteEditor(box, record, { opener, onSave, onClose }) -> { element, close }
+// onSave({ note, tags }) riceve valori già normalizzati (normalizeNote / normalizeTags di link-store.js).
+
+import { normalizeNote, normalizeTags, NOTE_MAX_LENGTH } from './link-store.js';
+import { t } from './i18n.js';
+
+export function openNoteEditor(box, record = {}, { opener = null, onSave = null, onClose = null } = {}) {
+  if (!box) throw new Error('box is required for the note editor');
+  const existing = box.querySelector('.note-editor');
+  if (existing) existing.remove();
+
+  const form = document.createElement('form');
+  form.className = 'note-editor';
+  form.noValidate = true;
+
+  const noteLabel = document.createElement('label');
+  const noteText = document.createElement('span');
+  noteText.textContent = t('note.label');
+  const noteInput = document.createElement('textarea');
+  noteInput.className = 'note-input';
+  noteInput.rows = 2;
+  noteInput.maxLength = NOTE_MAX_LENGTH;
+  noteInput.placeholder = t('note.placeholder');
+  noteInput.value = record.note || '';
+  noteLabel.append(noteText, noteInput);
+
+  const tagsLabel = document.createElement('label');
+  const tagsText = document.createElement('span');
+  tagsText.textContent = t('note.tags');
+  const tagsInput = document.createElement('input');
+  tagsInput.type = 'text';
+  tagsInput.className = 'tags-input';
+  tagsInput.autocomplete = 'off';
+  tagsInput.placeholder = t('note.tagsPlaceholder');
+  tagsInput.value = (record.tags || []).join(', ');
+  tagsLabel.append(tagsText, tagsInput);
+
+  const actions = document.createElement('div');
+  actions.className = 'note-actions';
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'submit';
+  saveBtn.className = 'links-io-btn note-save';
+  saveBtn.textContent = t('note.save');
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'links-io-btn note-cancel';
+  cancelBtn.textContent = t('note.cancel');
+  actions.append(saveBtn, cancelBtn);
+
+  form.append(noteLabel, tagsLabel, actions);
+  const main = box.querySelector('.link-main') || box;
+  main.appendChild(form);
+  if (opener) opener.setAttribute('aria-expanded', 'true');
+
+  let closed = false;
+  function close() {
+    if (closed) return;
+    closed = true;
+    form.remove();
+    if (opener) {
+      opener.setAttribute('aria-expanded', 'false');
+      if (opener.isConnected) opener.focus();
+    }
+    if (typeof onClose === 'function') onClose();
+  }
+
+  form.addEventListener('submit', async (ev) => {
+    ev.preventDefault();
+    const changes = { note: normalizeNote(noteInput.value), tags: normalizeTags(tagsInput.value) };
+    saveBtn.disabled = true;
+    try {
+      if (typeof onSave === 'function') await onSave(changes);
+    } finally {
+      close();
+    }
+  });
+  cancelBtn.addEventListener('click', close);
+  // Ctrl/Cmd+Invio salva (preventDefault: la scorciatoia globale di GENERA la ignora)
+  form.addEventListener('keydown', (ev) => {
+    if (ev.key === 'Escape') {
+      ev.preventDefault();
+      close();
+    } else if (ev.key === 'Enter' && (ev.ctrlKey || ev.metaKey) && ev.target === noteInput) {
+      ev.preventDefault();
+      if (form.requestSubmit) form.requestSubmit();
+      else saveBtn.click();
+    }
+  });
+
+  noteInput.focus();
+  return { element: form, close };
+}
\ No newline at end of file
@@ -0,0 +1,217 @@
+// js/link-qr.js
+// QR code dei link generati, da mostrare al cliente al banco.
+// Encoder: vendor/qrcode.min.js (qrcode-generator, script classico che espone window.qrcode), nessun servizio esterno.
+// - createQrMatrix / qrToSvg: pure functions (SVG scalabile, nero su bianco anche con il tema scuro)
+// - qrToPngBlob: PNG via canvas
+// - createQrDialog(): finestra modale con QR, download PNG/SVG e stampa
+
+import { escapeHtml, downloadFile, announce } from './utils.js';
+import { t, simLabel, activationLabel } from './i18n.js';
+
+const QUIET_ZONE = 4; // moduli di margine richiesti dalla specifica QR
+
+function getEncoder() {
+  const encoder = typeof window !== 'undefined' ? window.qrcode : null;
+  if (typeof encoder !== 'function') throw new Error('QR encoder not loaded (js/vendor/qrcode.min.js)');
+  return encoder;
+}
+
+/**
+ * createQrMatrix(text, { ecl }) -> { size, modules }
+ * modules[row][col] = true per i moduli scuri. ecl: livello di correzione 'L' | 'M' | 'Q' | 'H'.
+ */
+export function createQrMatrix(text, { ecl = 'M' } = {}) {
+  const qr = getEncoder()(0, ecl); // 0 = versione minima che contiene il testo
+  qr.addData(String(text));
+  qr.make();
+  const size = qr.getModuleCount();
+  const modules = [];
+  for (let r = 0; r < size; r++) {
+    const row = [];
+    for (let c = 0; c < size; c++) row.push(qr.isDark(r, c));
+    modules.push(row);
+  }
+  return { size, modules };
+}
+
+/**
+ * qrToSvg(matrix, { title, margin }) -> string
+ * SVG senza dimensioni fisse (viewBox in moduli): scala con il contenitore e in stampa.
+ */
+export function qrToSvg({ size, modules }, { title = '', margin = QUIET_ZONE } = {}) {
+  const total = size + margin * 2;
+  let path = '';
+  modules.forEach((row, r) => row.forEach((dark, c) => {
+    if (dark) path += `M${c + margin} ${r + margin}h1v1h-1z`;
+  }));
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" role="img"` +
+    (title ? ' aria-label="' + escapeHtml(title) + '"' : '') + ' shape-rendering="crispEdges">' +
+    (title ? '<title>' + escapeHtml(title) + '</title>' : '') +
+    `<rect width="${total}" height="${total}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+/**
+ * qrToPngBlob(matrix, { scale, margin }) -> Promise<Blob|null>
+ * null se il browser non ha canvas/toBlob.
+ */
+export function qrToPngBlob({ size, modules }, { scale = 10, margin = QUIET_ZONE } = {}) {
+  const total = (size + margin * 2) * scale;
+  const canvas = document.createElement('canvas');
+  canvas.width = total;
+  canvas.height = total;
+  const ctx = canvas.getContext ? canvas.getContext('2d') : null;
+  if (!ctx || typeof canvas.toBlob !== 'function') return Promise.resolve(null);
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, total, total);
+  ctx.fillStyle = '#000';
+  modules.forEach((row, r) => row.forEach((dark, c) => {
+    if (dark) ctx.fillRect((c + margin) * scale, (r + margin) * scale, scale, scale);
+  }));
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+// descrizione leggibile del record: "€5.50 EVO100 · eSIM · MNP"
+function describeRecord(record) {
+  return [
+    record.offerLabel || record.offerKey || '',
+    simLabel(record.tipoFlusso),
+    activationLabel(record.tipoAttivazione)
+  ].filter(Boolean).join(' · ');
+}
+
+function qrFilename(record, ext) {
+  const parts = [record.rawCode || record.offerKey || 'link', simLabel(record.tipoFlusso), activationLabel(record.tipoAttivazione)];
+  const name = parts.filter(Boolean).join('-').replace(/[^A-Za-z0-9_-]+/g, '_');
+  return `coolvoce-qr-${name}.${ext}`;
+}
+
+/**
+ * createQrDialog({ parent }) -> { open, close, isOpen, element }
+ * open(record, opener): mostra il QR del link del record (stringa o record della history);
+ * alla chiusura (CHIUDI, Esc, click sullo sfondo) il focus torna su `opener`.
+ */
+export function createQrDialog({ parent = document.body } = {}) {
+  let current = null; // { record, matrix, opener }
+
+  const overlay = document.createElement('div');
+  overlay.className = 'qr-overlay';
+  overlay.hidden = true;
+
+  const dialog = document.createElement('div');
+  dialog.className = 'qr-dialog';
+  dialog.setAttribute('role', 'dialog');
+  dialog.setAttribute('aria-modal', 'true');
+  dialog.setAttribute('aria-labelledby', 'qrDialogTitle');
+  dialog.innerHTML =
+    '<h2 id="qrDialogTitle" class="qr-title"></h2>' +
+    '<p class="qr-offer"></p>' +
+    '<div class="qr-image"></div>' +
+    '<p class="qr-link"></p>' +
+    '<div class="qr-actions">' +
+      '<button type="button" class="links-io-btn qr-png">⬇️ PNG</button>' +
+      '<button type="button" class="links-io-btn qr-svg">⬇️ SVG</button>' +
+      '<button type="button" class="links-io-btn qr-print"></button>' +
+      '<button type="button" class="links-io-btn qr-close"></button>' +
+    '</div>';
+  overlay.appendChild(dialog);
+  parent.appendChild(overlay);
+
+  const offerEl = dialog.querySelector('.qr-offer');
+  const imageEl = dialog.querySelector('.qr-image');
+  const linkEl = dialog.querySelector('.qr-link');
+  const closeBtn = dialog.querySelector('.qr-close');
+
+  // testi nella lingua corrente: applicati a ogni apertura (la lingua può cambiare nel frattempo)
+  function applyLabels() {
+    dialog.querySelector('.qr-title').textContent = t('qr.title');
+    dialog.querySelector('.qr-print').textContent = t('qr.print');
+    closeBtn.textContent = t('qr.close');
+  }
+
+  function isOpen() {
+    return !overlay.hidden;
+  }
+
+  function open(item, opener = document.activeElement) {
+    const record = (item && typeof item === 'object') ? item : { link: String(item) };
+    const matrix = createQrMatrix(record.link);
+    current = { record, matrix, opener };
+    const description = describeRecord(record);
+    applyLabels();
+    offerEl.textContent = description;
+    offerEl.hidden = !description;
+    imageEl.innerHTML = qrToSvg(matrix, { title: t('qr.imageLabel', { name: description || record.link }) });
+    linkEl.textContent = record.link;
+    overlay.hidden = false;
+    closeBtn.focus();
+  }
+
+  function close() {
+    if (!isOpen()) return;
+    overlay.hidden = true;
+    const opener = current && current.opener;
+    current = null;
+    if (opener && typeof opener.focus === 'function' && opener.isConnected) opener.focus();
+  }
+
+  async function downloadPng() {
+    if (!current) return;
+    const blob = await qrToPngBlob(current.matrix);
+    const ok = !!blob && downloadFile(qrFilename(current.record, 'png'), blob, 'image/png');
+    announce(t(ok ? 'qr.pngDone' : 'qr.pngFail'));
+  }
+
+  function downloadSvg() {
+    if (!current) return;
+    const svg = qrToSvg(current.matrix, { title: current.record.link });
+    const ok = downloadFile(qrFilename(current.record, 'svg'), svg, 'image/svg+xml');
+    announce(t(ok ? 'qr.svgDone' : 'qr.svgFail'));
+  }
+
+  // stampa solo la finestra del QR (vedi @media print in style.css)
+  function print() {
+    if (!current || typeof window.print !== 'function') return;
+    document.body.classList.add('printing-qr');
+    const done = () => {
+      document.body.classList.remove('printing-qr');
+      window.removeEventListener('afterprint', done);
+    };
+    window.addEventListener('afterprint', done);
+    try { window.print(); } catch (e) { done(); }
+  }
+
+  dialog.addEventListener('click', (ev) => {
+    const btn = ev.target && ev.target.closest ? ev.target.closest('button') : null;
+    if (!btn) return;
+    if (btn.classList.contains('qr-png')) downloadPng();
+    else if (btn.classList.contains('qr-svg')) downloadSvg();
+    else if (btn.classList.contains('qr-print')) print();
+    else if (btn.classList.contains('qr-close')) close();
+  });
+
+  overlay.addEventListener('click', (ev) => {
+    if (ev.target === overlay) close();
+  });
+
+  // Esc chiude; Tab resta dentro la finestra
+  overlay.addEventListener('keydown', (ev) => {
+    if (ev.key === 'Escape') {
+      ev.preventDefault();
+      close();
+      return;
+    }
+    if (ev.key !== 'Tab') return;
+    const buttons = Array.from(dialog.querySelectorAll('button'));
+    const first = buttons[0];
+    const last = buttons[buttons.length - 1];
+    if (ev.shiftKey && document.activeElement === first) {
+      ev.preventDefault();
+      last.focus();
+    } else if (!ev.shiftKey && document.activeElement === last) {
+      ev.preventDefault();
+      first.focus();
+    }
+  });
+
+  return { open, close, isOpen, element: overlay };
+}
\ No newline at end of file
@@ -1,27 +1,51 @@
 // js/link-renderer.js
 // Renderizza i link nel container, gestisce animazioni, badge e classi "latest".
-// API: createRenderer(container, options) -> { add, remove, removeByElement, clear, count, container }
+// API: createRenderer(container, options) -> { add, render, restore, snapshot, getRecord, update, setView, visibleCount, refreshStatus, refreshLabels, remove, removeByElement, clear, count, container }
+// options.isExpired(record) -> boolean: se l'offerta del link è scaduta la box mostra il chip "SCADUTA";
+// refreshStatus() lo ricalcola per tutte le box (es. dopo offers:loaded / offers:updated).
+// refreshLabels() riapplica testi e aria-label nella lingua corrente (es. dopo lang:changed).
+// setView({ filter, compare }) nasconde/ordina le box senza rimuoverle: badge e count() restano sul totale.
+// Le box dei record fissati (`pinned`) stanno sempre in cima, qualunque sia l'ordinamento;
+// update(record) riapplica nota, tag e pin di un link già mostrato.
+// add() accetta una stringa (link) o un record della history ({ link, offerLabel, tipoFlusso, tipoAttivazione, ... }).
 // removeByElement e clear ritornano Promise che risolvono quando la rimozione/animazione è completata.
+// onRemove(link, { item, index, wasLatest }) riceve quanto serve per ripristinare la box (undo).
 
 import { announce } from './utils.js';
+import { t, simLabel, activationLabel } from './i18n.js';
 
 const EXIT_MS = 180; // must be in sync with CSS .link-box.exit duration (ms)
 
-export function createRenderer(container, { badgeElement = null, onRemove = null, onAdd = null } = {}) {
+export function createRenderer(container, { badgeElement = null, onRemove = null, onAdd = null, isExpired = null } = {}) {
   if (!container) throw new Error('container is required for renderer');
 
-  function createLinkBox(link) {
+  // record della history associato a ogni box (per undo / export)
+  const records = new WeakMap();
+
+  // vista corrente: filter(record) -> boolean, compare(a, b) sui record; null = nessun filtro / ordine di inserimento
+  const view = { filter: null, compare: null };
+
+  function createLinkBox(record) {
+    const link = record.link;
     const box = document.createElement('div');
     box.className = 'link-box';
     box.dataset.link = link;
+    if (record.offerKey) box.dataset.offer = record.offerKey;
+    if (record.tipoFlusso) box.dataset.sim = record.tipoFlusso;
+    if (record.tipoAttivazione) box.dataset.activation = record.tipoAttivazione;
+    if (checkExpired(record)) box.classList.add('expired');
+    if (record.pinned) box.classList.add('pinned');
 
     // make the whole box focusable & accessible
     box.tabIndex = 0;
     box.setAttribute('role', 'group');
-    box.setAttribute('aria-label', `Link ${link}`);
 
     const main = document.createElement('div');
     main.className = 'link-main';
+
+    const meta = createMeta(record);
+    if (meta) main.appendChild(meta);
+
     const a = document.createElement('a');
     a.href = link;
     a.target = '_blank';
@@ -29,6 +53,9 @@ export function createRenderer(container, { badgeElement = null, onRemove = null
     a.textContent = link;
     main.appendChild(a);
 
+    const notes = createNotes(record);
+    if (notes) main.appendChild(notes);
+
     const controls = document.createElement('div');
     controls.className = 'link-controls';
 
@@ -38,23 +65,45 @@ export function createRenderer(container, { badgeElement = null, onRemove = null
     const openBtn = document.createElement('button');
     openBtn.type = 'button';
     openBtn.className = 'open';
-    openBtn.textContent = 'APRI';
     openBtn.addEventListener('click', () => window.open(link, '_blank'));
 
     const copyBtn = document.createElement('button');
     copyBtn.type = 'button';
     copyBtn.className = 'copy';
-    copyBtn.textContent = 'COPIA';
     // copy handler is delegated by controller
 
+    const shareBtn = document.createElement('button');
+    shareBtn.type = 'button';
+    shareBtn.className = 'share';
+    // share handler is delegated by controller (Web Share API, copy as fallback)
+
+    const qrBtn = document.createElement('button');
+    qrBtn.type = 'button';
+    qrBtn.className = 'qr';
+    qrBtn.setAttribute('aria-haspopup', 'dialog');
+    // QR dialog is opened by controller (delegated)
+
+    const pinBtn = document.createElement('button');
+    pinBtn.type = 'button';
+    pinBtn.className = 'pin';
+    pinBtn.setAttribute('aria-pressed', record.pinned ? 'true' : 'false');
+    // pin toggle and note editor are handled by controller (delegated, persisted through the store)
+
+    const noteBtn = document.createElement('button');
+    noteBtn.type = 'button';
+    noteBtn.className = 'note-btn';
+    noteBtn.setAttribute('aria-expanded', 'false');
+
     actionsCol.appendChild(openBtn);
     actionsCol.appendChild(copyBtn);
+    actionsCol.appendChild(shareBtn);
+    actionsCol.appendChild(qrBtn);
+    actionsCol.appendChild(pinBtn);
+    actionsCol.appendChild(noteBtn);
 
     const deleteBtn = document.createElement('button');
     deleteBtn.type = 'button';
     deleteBtn.className = 'delete-btn';
-    // accessible label (kept explicit)
-    deleteBtn.setAttribute('aria-label', `Rimuovi link ${link}`);
     // SVG icon for the X (aria-hidden true)
     deleteBtn.innerHTML = `
       <svg width="14" height="14" viewBox="0 0 24 24" fill="none" aria-hidden="true" focusable="false" xmlns="http://www.w3.org/2000/svg">
@@ -69,9 +118,142 @@ export function createRenderer(container, { badgeElement = null, onRemove = null
     box.appendChild(main);
     box.appendChild(controls);
 
+    applyLabels(box);
     return box;
   }
 
+  // testi e aria-label (espliciti, con il link) nella lingua corrente
+  function applyLabels(box) {
+    const link = box.dataset.link;
+    box.setAttribute('aria-label', t(box.classList.contains('pinned') ? 'link.labelPinned' : 'link.label', { link }));
+    const set = (selector, text, label) => {
+      const btn = box.querySelector(selector);
+      if (!btn) return;
+      if (text != null) btn.textContent = text;
+      if (label != null) btn.setAttribute('aria-label', label);
+    };
+    set('.open', t('link.open'));
+    set('.copy', t('link.copy'));
+    set('.share', t('link.share'), t('link.shareLabel', { link }));
+    set('.qr', t('link.qr'), t('link.qrLabel', { link }));
+    set('.pin', t('link.pin'), t('link.pinLabel', { link }));
+    set('.note-btn', t('link.note'), t('link.noteLabel', { link }));
+    set('.delete-btn', null, t('link.remove', { link }));
+  }
+
+  // label dell'offerta + chip SIM/attivazione (null se il record non ha metadati)
+  function createMeta(record) {
+    const label = record.offerLabel || record.offerKey || '';
+    const sim = simLabel(record.tipoFlusso);
+    const activation = activationLabel(record.tipoAttivazione);
+    if (!label && !sim && !activation) return null;
+
+    const meta = document.createElement('div');
+    meta.className = 'link-meta';
+
+    if (label) {
+      const labelEl = document.createElement('span');
+      labelEl.className = 'link-label';
+      labelEl.textContent = label;
+      meta.appendChild(labelEl);
+    }
+    if (sim) {
+      const chip = document.createElement('span');
+      chip.className = 'chip chip-sim' + (record.tipoFlusso === 'ESIM' ? ' chip-esim' : '');
+      chip.textContent = sim;
+      meta.appendChild(chip);
+    }
+    if (activation) {
+      const chip = document.createElement('span');
+      chip.className = 'chip chip-activation';
+      chip.textContent = activation;
+      meta.appendChild(chip);
+    }
+    if (checkExpired(record)) meta.appendChild(createExpiredChip());
+    return meta;
+  }
+
+  // nota (testo semplice, a capo conservati via CSS) + tag come chip; null se il record non ne ha
+  function createNotes(record) {
+    const note = record.note || '';
+    const tags = Array.isArray(record.tags) ? record.tags : [];
+    if (!note && tags.length === 0) return null;
+
+    const notes = document.createElement('div');
+    notes.className = 'link-notes';
+    if (note) {
+      const noteEl = document.createElement('p');
+      noteEl.className = 'link-note';
+      noteEl.textContent = note;
+      notes.appendChild(noteEl);
+    }
+    if (tags.length) {
+      const list = document.createElement('ul');
+      list.className = 'link-tags';
+      list.setAttribute('aria-label', t('link.tags'));
+      tags.forEach(tag => {
+        const li = document.createElement('li');
+        li.className = 'chip chip-tag';
+        li.textContent = '#' + tag;
+        list.appendChild(li);
+      });
+      notes.appendChild(list);
+    }
+    return notes;
+  }
+
+  function checkExpired(record) {
+    if (typeof isExpired !== 'function' || !record) return false;
+    try { return !!isExpired(record); } catch (e) { return false; }
+  }
+
+  function createExpiredChip() {
+    const chip = document.createElement('span');
+    chip.className = 'chip chip-expired';
+    chip.textContent = t('chip.expired');
+    chip.title = t('chip.expiredTitle');
+    return chip;
+  }
+
+  // ricalcola il chip "SCADUTA" su tutte le box (il catalogo può cambiare dopo il render)
+  function refreshStatus() {
+    boxes().forEach(box => {
+      const expired = checkExpired(getRecord(box));
+      const chip = box.querySelector('.chip-expired');
+      if (expired && !chip) {
+        let meta = box.querySelector('.link-meta');
+        if (!meta) {
+          meta = document.createElement('div');
+          meta.className = 'link-meta';
+          const main = box.querySelector('.link-main');
+          if (main) main.prepend(meta);
+        }
+        meta.appendChild(createExpiredChip());
+      } else if (!expired && chip) {
+        chip.remove();
+      }
+      box.classList.toggle('expired', expired);
+    });
+  }
+
+  // cambio lingua: pulsanti, aria-label e chip (la meta viene ricreata dal record)
+  function refreshLabels() {
+    boxes().forEach(box => {
+      applyLabels(box);
+      const record = getRecord(box);
+      const tagList = box.querySelector('.link-tags');
+      if (tagList) tagList.setAttribute('aria-label', t('link.tags'));
+      const oldMeta = box.querySelector('.link-meta');
+      const meta = record ? createMeta(record) : null;
+      if (oldMeta && meta) oldMeta.replaceWith(meta);
+      else if (oldMeta) oldMeta.remove();
+      else if (meta) {
+        const main = box.querySelector('.link-main');
+        if (main) main.prepend(meta);
+      }
+    });
+  }
+
   function updateBadge() {
     if (!badgeElement) return;
     const count = container.querySelectorAll('.link-box').length;
@@ -86,24 +268,162 @@ export function createRenderer(container, { badgeElement = null, onRemove = null
     container.querySelectorAll('.link-box.latest').forEach(it => it.classList.remove('latest'));
   }
 
-  function add(link, { markLatest = true } = {}) {
-    const box = createLinkBox(link);
-    container.prepend(box);
+  function toRecord(item) {
+    return (item && typeof item === 'object') ? item : { link: String(item) };
+  }
+
+  function boxes() {
+    return Array.from(container.querySelectorAll('.link-box'));
+  }
+
+  function getRecord(box) {
+    return (box && records.get(box)) || (box && box.dataset && box.dataset.link ? { link: box.dataset.link } : null);
+  }
 
-    // entry animation
-    box.classList.add('enter');
-    box.addEventListener('animationend', () => box.classList.remove('enter'), { once: true });
+  // stato corrente in ordine DOM: [{ item, index, wasLatest }] (input di restore)
+  function snapshot() {
+    return boxes()
+      .filter(it => it.dataset.deleting !== '1')
+      .map((it, index) => ({ item: getRecord(it), index, wasLatest: it.classList.contains('latest') }));
+  }
+
+  const pinRank = (box) => (box.classList.contains('pinned') ? 0 : 1);
+
+  // applica filtro e ordinamento correnti alle box presenti (le fissate prima, ordinate tra loro)
+  function applyView() {
+    const live = boxes().filter(it => it.dataset.deleting !== '1');
+    const compare = typeof view.compare === 'function' ? (a, b) => view.compare(getRecord(a), getRecord(b)) : () => 0;
+    const sorted = live.slice().sort((a, b) => pinRank(a) - pinRank(b) || compare(a, b));
+    // riordina solo se serve (spostare i nodi riavvia le animazioni)
+    if (sorted.some((it, i) => it !== live[i])) sorted.forEach(it => container.appendChild(it));
+    live.forEach(it => {
+      const visible = typeof view.filter !== 'function' || !!view.filter(getRecord(it));
+      it.hidden = !visible;
+    });
+  }
+
+  function setView({ filter = null, compare = null } = {}) {
+    view.filter = filter;
+    view.compare = compare;
+    applyView();
+    return visibleCount();
+  }
+
+  function visibleCount() {
+    return boxes().filter(it => !it.hidden && it.dataset.deleting !== '1').length;
+  }
+
+  // il "latest" è il link più recente (per ts), indipendentemente da ordinamento e filtri
+  function newestBox() {
+    let newest = null;
+    let newestTs = -Infinity;
+    boxes().forEach(it => {
+      if (it.dataset.deleting === '1') return;
+      const t = Number((getRecord(it) || {}).ts) || 0;
+      if (t > newestTs) { newest = it; newestTs = t; }
+    });
+    return newest;
+  }
+
+  function add(item, { markLatest = true, animate = true } = {}) {
+    const record = toRecord(item);
+    const link = record.link;
+    const box = createLinkBox(record);
+    records.set(box, record);
+    // un link nuovo va in cima, ma sotto quelli fissati
+    const firstUnpinned = record.pinned ? null : boxes().find(it => !it.classList.contains('pinned'));
+    if (record.pinned || boxes().length === 0) container.prepend(box);
+    else if (firstUnpinned) container.insertBefore(box, firstUnpinned);
+    else container.appendChild(box);
+
+    // entry animation (skipped when restoring history in bulk)
+    if (animate) {
+      box.classList.add('enter');
+      box.addEventListener('animationend', () => box.classList.remove('enter'), { once: true });
+    }
 
     if (markLatest) {
       clearLatestMarker();
       box.classList.add('latest');
     }
 
+    if (view.filter || view.compare) applyView();
     updateBadge();
     if (typeof onAdd === 'function') onAdd(link, box);
     return box;
   }
 
+  // render: sostituisce l'intero elenco senza animazioni né callback di rimozione
+  // (hydration / import). `items` in qualsiasi ordine: vengono ordinati per ts, il più recente è latest.
+  function render(items = []) {
+    container.querySelectorAll('.link-box').forEach(it => it.remove());
+    const ordered = items
+      .filter(it => it && it.link)
+      .slice()
+      .reverse()
+      .sort((a, b) => (Number(a.ts) || 0) - (Number(b.ts) || 0));
+    ordered.forEach((item, i) => add(item, { markLatest: i === ordered.length - 1, animate: false }));
+    applyView();
+    updateBadge();
+    return ordered.length;
+  }
+
+  // restore: reinserisce box rimosse nelle posizioni originali (undo).
+  // entries: [{ item, index, wasLatest }] come ricevute da onRemove o da snapshot().
+  function restore(entries = []) {
+    const sorted = entries
+      .filter(e => e && e.item && e.item.link)
+      .slice()
+      .sort((a, b) => a.index - b.index);
+    const restored = [];
+    sorted.forEach((entry) => {
+      // già presente (es. rigenerato nel frattempo): non duplicare
+      if (boxes().some(it => it.dataset.link === entry.item.link && it.dataset.deleting !== '1')) return;
+      const box = createLinkBox(entry.item);
+      records.set(box, entry.item);
+      const ref = boxes()[entry.index] || null;
+      if (ref) container.insertBefore(box, ref);
+      else container.appendChild(box);
+      box.classList.add('enter');
+      box.addEventListener('animationend', () => box.classList.remove('enter'), { once: true });
+      restored.push({ box, entry });
+    });
+    const latest = restored.find(r => r.entry.wasLatest);
+    if (latest) {
+      clearLatestMarker();
+      latest.box.classList.add('latest');
+    }
+    applyView();
+    updateBadge();
+    restored.forEach(({ box, entry }) => {
+      if (typeof onAdd === 'function') onAdd(entry.item.link, box);
+    });
+    return restored.map(r => r.box);
+  }
+
+  // update: nuovo record (stesso link) per le box già presenti -> box aggiornate
+  function update(record) {
+    if (!record || !record.link) return [];
+    const updated = boxes().filter(it => it.dataset.link === record.link && it.dataset.deleting !== '1');
+    updated.forEach(box => {
+      records.set(box, record);
+      box.classList.toggle('pinned', !!record.pinned);
+      const pinBtn = box.querySelector('.pin');
+      if (pinBtn) pinBtn.setAttribute('aria-pressed', record.pinned ? 'true' : 'false');
+      const oldNotes = box.querySelector('.link-notes');
+      const notes = createNotes(record);
+      if (oldNotes && notes) oldNotes.replaceWith(notes);
+      else if (oldNotes) oldNotes.remove();
+      else if (notes) {
+        const a = box.querySelector('.link-main > a');
+        if (a) a.after(notes);
+      }
+      applyLabels(box);
+    });
+    if (updated.length) applyView();
+    return updated;
+  }
+
   // removeByElement returns a Promise that resolves once the box is removed
   function removeByElement(box, { dispatchRemove = true, force = false } = {}) {
     return new Promise((resolve) => {
@@ -113,8 +433,10 @@ export function createRenderer(container, { badgeElement = null, onRemove = null
       if (box.dataset.deleting === '1' && !force) return resolve(false);
 
       // mark deleting
+      const index = boxes().indexOf(box);
       box.dataset.deleting = '1';
       const link = box.dataset.link || null;
+      const record = getRecord(box);
       const wasLatest = box.classList.contains('latest');
 
       // start exit animation (CSS should define animation .exit)
@@ -131,24 +453,25 @@ export function createRenderer(container, { badgeElement = null, onRemove = null
         // update badge
         updateBadge();
 
-        // if removed was latest, reassign latest to the new first element
+        // if removed was latest, reassign latest to the newest remaining element
+        // (the first one in the default order; by timestamp when the list is sorted differently)
         if (wasLatest) {
-          const first = container.querySelector('.link-box');
-          if (first) {
+          const next = newestBox() || container.querySelector('.link-box');
+          if (next) {
             // ensure only one latest
             container.querySelectorAll('.link-box.latest').forEach(it => it.classList.remove('latest'));
-            first.classList.add('latest');
-            // keep first focusable (it already has tabindex)
+            next.classList.add('latest');
+            // keep it focusable (it already has tabindex)
           }
         }
 
         // call onRemove callback for persistence
         if (dispatchRemove && typeof onRemove === 'function') {
-          try { onRemove(link); } catch (e) { /* swallow */ }
+          try { onRemove(link, { item: record, index, wasLatest }); } catch (e) { /* swallow */ }
         }
 
         // accessibility announce
-        announce('Link rimosso.');
+        announce(t('link.removed'));
 
         resolve(true);
       };
@@ -180,8 +503,10 @@ export function createRenderer(container, { badgeElement = null, onRemove = null
   }
 
   // clear: remove all boxes, return Promise resolved when all removals done
-  function clear() {
-    const items = Array.from(container.querySelectorAll('.link-box'));
+  // keep(record) -> true per le box da conservare (es. i link fissati)
+  function clear({ keep = null } = {}) {
+    const items = Array.from(container.querySelectorAll('.link-box'))
+      .filter(it => typeof keep !== 'function' || !keep(getRecord(it)));
     if (items.length === 0) {
       // ensure badge updated
       updateBadge();
@@ -203,5 +528,5 @@ export function createRenderer(container, { badgeElement = null, onRemove = null
 
   function count() { return container.querySelectorAll('.link-box').length; }
 
-  return { add, remove, removeByElement, clear, count, container };
+  return { add, render, restore, snapshot, getRecord, update, setView, visibleCount, refreshStatus, refreshLabels, remove, removeByElement, clear, count, container };
 }
\ No newline at end of file
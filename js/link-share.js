@@ -0,0 +1,73 @@
+// js/link-share.js
+// Condivisione dei link (Web Share API, con copia negli appunti come ripiego) e ricezione dei link
+// condivisi verso l'app installata (share_target in manifest.webmanifest: GET su ./ con
+// shared_title / shared_text / shared_url).
+
+import { copyToClipboard } from './utils.js';
+import { formatOfferLines } from './offer-format.js';
+import { t, simLabel, activationLabel } from './i18n.js';
+
+// nomi dei parametri dichiarati in manifest.webmanifest -> share_target.params
+export const SHARE_PARAMS = { title: 'shared_title', text: 'shared_text', url: 'shared_url' };
+
+/**
+ * buildShareData(record, offer) -> { title, text, url }
+ * title: label dell'offerta; text: SIM/attivazione + descrizione in testo semplice (senza tag).
+ */
+export function buildShareData(record, offer = null) {
+  const title = (offer && offer.label) || record.offerLabel || record.offerKey || t('share.defaultTitle');
+  const variant = [simLabel(record.tipoFlusso), activationLabel(record.tipoAttivazione)].filter(Boolean).join(' · ');
+  const lines = formatOfferLines(offer)
+    .map(line => String(line).replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]*>/g, '').trim())
+    .filter(Boolean);
+  const text = [variant ? `${title} (${variant})` : title].concat(lines).join('\n');
+  return { title, text, url: record.link };
+}
+
+/**
+ * shareLink(data) -> Promise<'shared' | 'copied' | 'cancelled' | 'failed'>
+ * navigator.share se disponibile; altrimenti (o se la condivisione fallisce) copia testo e link.
+ * 'cancelled' quando l'utente chiude il foglio di condivisione: in quel caso non si copia nulla.
+ */
+export async function shareLink(data) {
+  const canShare = typeof navigator !== 'undefined' && typeof navigator.share === 'function' &&
+    (typeof navigator.canShare !== 'function' || navigator.canShare(data));
+  if (canShare) {
+    try {
+      await navigator.share(data);
+      return 'shared';
+    } catch (e) {
+      if (e && e.name === 'AbortError') return 'cancelled';
+      // NotAllowedError & co.: si ripiega sulla copia
+    }
+  }
+  const ok = await copyToClipboard(`${data.text}\n${data.url}`);
+  return ok ? 'copied' : 'failed';
+}
+
+/**
+ * readSharedText(search) -> string | null
+ * Testo ricevuto come share target (url, poi text, poi title: alcune app mettono il link nel testo);
+ * null se la pagina non è stata aperta da una condivisione.
+ */
+export function readSharedText(search) {
+  const params = new URLSearchParams(search || '');
+  const values = [SHARE_PARAMS.url, SHARE_PARAMS.text, SHARE_PARAMS.title].map(name => params.get(name) || '');
+  if (!values.some(Boolean)) return null;
+  return values.filter(Boolean).join('\n');
+}
+
+/**
+ * extractLinkCandidates(text) -> string[]
+ * URL presenti nel testo condiviso (anche shop.coopvoce.it senza schema), nell'ordine in cui compaiono.
+ */
+export function extractLinkCandidates(text) {
+  return String(text || '').match(/(?:https?:\/\/|shop\.coopvoce\.it)[^\s<>"']+/gi) || [];
+}
+
+// parametri della condivisione da togliere dall'URL della pagina dopo averli letti
+export function stripShareParams(href) {
+  const url = new URL(href);
+  Object.values(SHARE_PARAMS).forEach(name => url.searchParams.delete(name));
+  return url.href;
+}
\ No newline at end of file
@@ -1,30 +1,234 @@
-// Interfaccia unica verso localStorage per la history.
-// Permette di cambiare backend in futuro (server, IndexedDB) senza toccare UI.
+// Interfaccia unica verso lo storage della history.
+// Il backend è un adapter intercambiabile (vedi history-adapters.js): IndexedDB di default,
+// localStorage come fallback. La UI usa solo questa API, tutta async.
+//
+// Ogni voce è un record versionato:
+// { v, link, offerKey, offerLabel, tipoFlusso, tipoAttivazione, rawCode, ts, note, tags, pinned }
+// Le voci legacy `{ link, ts }` vengono migrate al volo ricavando i campi dall'URL.
+// Le voci fissate (`pinned`) non contano nel limite della history e sopravvivono a clearHistory().
+//
+// Più schede: le scritture passano da un Web Lock (`coolvoce-history`), quindi due schede non
+// si sovrascrivono a vicenda; ogni modifica riuscita viene notificata alle altre schede
+// (tab-sync.js), che la ricevono con onHistoryChange(fn).
+
+import { createIndexedDbAdapter, createLocalStorageAdapter } from './history-adapters.js';
+import { createTabChannel } from './tab-sync.js';
+import { ESIM_PREFIX } from './link-creator.js';
 
 const HISTORY_KEY = 'coolvoce-history';
-const HISTORY_LIMIT = 20;
+export const HISTORY_LIMIT = 20;
+export const HISTORY_VERSION = 3;
+export const NOTE_MAX_LENGTH = 500;
+export const TAGS_MAX = 10;
+const TAG_MAX_LENGTH = 30;
 
-export function loadHistory() {
-  try { return JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]'); } catch (e) { return []; }
+// nota libera: testo su una o più righe, senza spazi ai bordi
+export function normalizeNote(value) {
+  return typeof value === 'string' ? value.trim().slice(0, NOTE_MAX_LENGTH) : '';
 }
 
-export function saveHistoryItem(item) {
-  try {
-    const arr = loadHistory();
-    arr.unshift(item);
-    const unique = arr.filter((v, i, a) => a.findIndex(x => x.link === v.link) === i);
-    localStorage.setItem(HISTORY_KEY, JSON.stringify(unique.slice(0, HISTORY_LIMIT)));
-  } catch (e) {}
+/**
+ * normalizeTags(value) -> string[]
+ * Accetta un array o una stringa separata da virgole; toglie il "#" iniziale e gli spazi,
+ * scarta i duplicati (senza distinzione di maiuscole) e tiene al massimo TAGS_MAX tag.
+ */
+export function normalizeTags(value) {
+  const list = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+  const tags = [];
+  list.forEach(raw => {
+    if (typeof raw !== 'string') return;
+    const tag = raw.trim().replace(/^#+/, '').replace(/\s+/g, ' ').slice(0, TAG_MAX_LENGTH).trim();
+    if (tag && !tags.some(t => t.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+  });
+  return tags.slice(0, TAGS_MAX);
 }
 
-export function removeHistoryLink(link) {
+// ricava tipoFlusso/tipoAttivazione/codice dai parametri del link (voci legacy)
+function fieldsFromLink(link) {
   try {
-    const arr = loadHistory();
-    const filtered = arr.filter(i => i.link !== link);
-    localStorage.setItem(HISTORY_KEY, JSON.stringify(filtered));
-  } catch (e) {}
+    const params = new URL(link).searchParams;
+    const tipoFlusso = params.get('tipoFlusso') || '';
+    const tipoAttivazione = params.get('tipoAttivazione') || '';
+    const rawCode = params.get('codiceCampagna') || '';
+    const offerKey = tipoFlusso === 'ESIM' && rawCode.startsWith(ESIM_PREFIX) ? rawCode.slice(ESIM_PREFIX.length) : rawCode;
+    return { tipoFlusso, tipoAttivazione, rawCode, offerKey };
+  } catch (e) {
+    return { tipoFlusso: '', tipoAttivazione: '', rawCode: '', offerKey: '' };
+  }
+}
+
+/**
+ * createHistoryItem(fields) -> record
+ * Normalizza un record (nuovo o legacy) nel formato corrente.
+ * I campi mancanti vengono ricavati dal link quando possibile.
+ */
+export function createHistoryItem(fields = {}) {
+  const link = typeof fields.link === 'string' ? fields.link : '';
+  const parsed = fieldsFromLink(link);
+  const str = (v, fallback) => (typeof v === 'string' && v !== '') ? v : fallback;
+  return {
+    v: HISTORY_VERSION,
+    link,
+    offerKey: str(fields.offerKey, parsed.offerKey),
+    offerLabel: str(fields.offerLabel, ''),
+    tipoFlusso: str(fields.tipoFlusso, parsed.tipoFlusso),
+    tipoAttivazione: str(fields.tipoAttivazione, parsed.tipoAttivazione),
+    rawCode: str(fields.rawCode, parsed.rawCode),
+    ts: Number(fields.ts) || 0,
+    note: normalizeNote(fields.note),
+    tags: normalizeTags(fields.tags),
+    pinned: fields.pinned === true
+  };
+}
+
+// ---- adapter selection ----
+// limit: null = illimitato (default per IndexedDB), HISTORY_LIMIT per localStorage.
+const config = { backend: 'indexeddb', limit: undefined, adapter: null };
+let adapterPromise = null;
+
+function createAdapter(backend, limit) {
+  if (backend === 'localstorage') {
+    return createLocalStorageAdapter({ key: HISTORY_KEY, limit: limit === undefined ? HISTORY_LIMIT : limit, normalize: createHistoryItem });
+  }
+  return createIndexedDbAdapter({ legacyKey: HISTORY_KEY, limit: limit === undefined ? null : limit, normalize: createHistoryItem });
+}
+
+/**
+ * configureHistoryStore({ backend, limit, adapter })
+ * backend: 'indexeddb' (default) | 'localstorage'; limit: numero massimo di voci (null = illimitato);
+ * adapter: adapter custom che implementa l'interfaccia di history-adapters.js (ha la precedenza).
+ * Va chiamata prima del primo accesso alla history.
+ */
+export function configureHistoryStore({ backend, limit, adapter } = {}) {
+  if (backend) config.backend = backend;
+  if (limit !== undefined) config.limit = limit;
+  if (adapter) config.adapter = adapter;
+  adapterPromise = null;
+}
+
+// risolve l'adapter attivo; se IndexedDB non è disponibile ripiega su localStorage
+function getAdapter() {
+  if (adapterPromise) return adapterPromise;
+  adapterPromise = (async () => {
+    const primary = config.adapter || createAdapter(config.backend, config.limit);
+    try {
+      await primary.open();
+      return primary;
+    } catch (e) {
+      if (primary.name === 'localstorage') throw e;
+      console.warn(`history: backend "${primary.name}" unavailable, falling back to localStorage`, e);
+      const fallback = createAdapter('localstorage', config.limit);
+      await fallback.open();
+      return fallback;
+    }
+  })();
+  adapterPromise.catch(() => { adapterPromise = null; });
+  return adapterPromise;
+}
+
+// ---- scritture serializzate tra schede + notifica delle modifiche ----
+const LOCK_NAME = 'coolvoce-history';
+let channel = null;
+
+function getChannel() {
+  if (!channel) channel = createTabChannel('coolvoce-history');
+  return channel;
+}
+
+// Web Locks (dove disponibili): il load-modify-write dell'adapter non si intreccia con altre schede
+function withHistoryLock(fn) {
+  const locks = typeof navigator !== 'undefined' ? navigator.locks : null;
+  if (locks && typeof locks.request === 'function') return locks.request(LOCK_NAME, fn);
+  return fn();
+}
+
+function notifyChange(change) {
+  try { getChannel().post(change); } catch (e) { /* sync best effort */ }
+}
+
+/**
+ * onHistoryChange(fn) -> unsubscribe
+ * fn(change) per le modifiche fatte da altre schede:
+ * { type: 'add', items } | { type: 'update', item } | { type: 'remove', link } | { type: 'clear', includePinned }
+ */
+export function onHistoryChange(fn) {
+  return getChannel().subscribe(fn);
+}
+
+export async function getHistoryBackend() {
+  return (await getAdapter()).name;
+}
+
+export async function loadHistory() {
+  const adapter = await getAdapter();
+  return adapter.load();
+}
+
+// un link rigenerato (GENERA, batch) arriva senza nota/tag/pin: si tengono quelli già salvati
+function keepMeta(record, existing) {
+  if (!existing) return record;
+  return Object.assign(record, {
+    note: record.note || existing.note,
+    tags: record.tags.length ? record.tags : existing.tags,
+    pinned: record.pinned || existing.pinned
+  });
+}
+
+async function saveRecords(adapter, records) {
+  const existing = new Map((await adapter.load()).map(it => [it.link, it]));
+  for (const record of records) await adapter.save(keepMeta(record, existing.get(record.link)));
+}
+
+// restituisce il record salvato (con nota/tag/pin conservati)
+export async function saveHistoryItem(item) {
+  const adapter = await getAdapter();
+  const record = createHistoryItem(item);
+  await withHistoryLock(() => saveRecords(adapter, [record]));
+  notifyChange({ type: 'add', items: [record] });
+  return record;
+}
+
+// salva più record in un colpo (import): dal più vecchio, così il più recente resta in cima
+export async function saveHistoryItems(items = []) {
+  const adapter = await getAdapter();
+  const sorted = items.map(createHistoryItem).sort((a, b) => a.ts - b.ts);
+  if (sorted.length === 0) return;
+  await withHistoryLock(() => saveRecords(adapter, sorted));
+  notifyChange({ type: 'add', items: sorted });
+}
+
+export async function removeHistoryLink(link) {
+  const adapter = await getAdapter();
+  await withHistoryLock(() => adapter.remove(link));
+  notifyChange({ type: 'remove', link });
+}
+
+/**
+ * updateHistoryItem(link, changes) -> record aggiornato | null (link non presente)
+ * changes: { note, tags, pinned } (gli altri campi del record non si modificano da qui).
+ */
+export async function updateHistoryItem(link, changes = {}) {
+  const adapter = await getAdapter();
+  const record = await withHistoryLock(async () => {
+    const current = (await adapter.load()).find(it => it.link === link);
+    if (!current) return null;
+    const next = createHistoryItem(Object.assign({}, current, pick(changes, ['note', 'tags', 'pinned'])));
+    await adapter.save(next);
+    return next;
+  });
+  if (record) notifyChange({ type: 'update', item: record });
+  return record;
+}
+
+function pick(obj, keys) {
+  const out = {};
+  keys.forEach(k => { if (obj && obj[k] !== undefined) out[k] = obj[k]; });
+  return out;
 }
 
-export function clearHistory() {
-  try { localStorage.removeItem(HISTORY_KEY); } catch (e) {}
+// includePinned: false (default) conserva le voci fissate
+export async function clearHistory({ includePinned = false } = {}) {
+  const adapter = await getAdapter();
+  await withHistoryLock(() => adapter.clear({ keepPinned: !includePinned }));
+  notifyChange({ type: 'clear', includePinned });
 }
\ No newline at end of file
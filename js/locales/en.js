@@ -0,0 +1,291 @@
+// js/locales/en.js
+// English catalogue: same keys as it.js (missing keys fall back to Italian).
+
+export default {
+  // form values
+  'sim.SPEDIZIONE': 'SIM',
+  'sim.ESIM': 'eSIM',
+  'activation.1': 'NEW',
+  'activation.2': 'MNP',
+
+  // static markup (index.html)
+  'app.themeToggle': 'Theme and colours',
+  'theme.legend': 'THEME',
+  'theme.system': 'SYSTEM',
+  'theme.light': 'LIGHT',
+  'theme.dark': 'DARK',
+  'theme.contrast': 'HIGH CONTRAST',
+  'theme.accent': 'COLOURS',
+  'theme.preset.ocean': 'Ocean',
+  'theme.preset.violet': 'Violet',
+  'theme.preset.sunset': 'Sunset',
+  'theme.primary': 'PRIMARY',
+  'theme.secondary': 'SECONDARY',
+  'theme.contrastHint': 'Custom colours are not used in high contrast.',
+  'app.language': 'Language',
+  'form.offer': 'OFFER?',
+  'form.select': 'SELECT',
+  'form.hideExpired': 'HIDE EXPIRED',
+  'form.custom': 'CUSTOM?',
+  'form.customPlaceholder': 'OFFER CODE',
+  'form.sim': 'SIM?',
+  'form.activation': 'ACTIVATION?',
+  'form.pasteLink': 'PASTE LINK?',
+  'generate.button': 'GENERATE',
+  'generate.done': 'GENERATED',
+  'compare.toggle': '📊 COMPARE OFFERS',
+  'compare.region': 'Offer comparison',
+  'timeline.toggle': '🕘 OFFER HISTORY',
+  'timeline.region': 'Offer catalogue history',
+  'batch.toggle': '⚡ BATCH GENERATION',
+  'batch.region': 'Batch link generation',
+  'batch.offers': 'OFFERS',
+  'batch.codes': 'CODES (one per line or comma separated)',
+  'batch.codesPlaceholder': 'CODE1, CODE2',
+  'batch.sim': 'SIM',
+  'batch.activation': 'ACTIVATION',
+  'batch.generate': 'GENERATE ALL',
+  'batch.generated': 'GENERATED',
+  'batch.result': 'Batch links',
+  'batch.copyAll': '📋 COPY ALL',
+  'sheet.toggle': '🖨️ PRINT OFFERS',
+  'sheet.region': 'Printable offer sheet',
+  'sheet.offers': 'OFFERS TO PRINT',
+  'sheet.selectAll': 'SELECT ALL',
+  'sheet.print': '🖨️ PRINT',
+  'sheet.hint': 'Each offer is printed with its generated links; if there are none, with the link for the SIM and activation chosen above.',
+  'io.group': 'Export or import links',
+  'io.exportJson': 'Export links as JSON',
+  'io.exportCsv': 'Export links as CSV',
+  'io.import': '⬆️ IMPORT',
+  'io.importTitle': 'Import links from a JSON or CSV file',
+  'shortcuts.button': '⌨️ SHORTCUTS',
+  'shortcuts.title': 'Keyboard shortcuts (Ctrl/Cmd+/) · command palette (Ctrl/Cmd+K)',
+  'filter.region': 'Filter generated links',
+  'filter.search': 'SEARCH (link, code, offer)',
+  'filter.searchLabel': 'Search generated links',
+  'filter.simLabel': 'Filter by SIM type',
+  'filter.allSims': 'ALL SIMS',
+  'filter.activationLabel': 'Filter by activation type',
+  'filter.allActivations': 'ALL ACTIVATIONS',
+  'filter.sortLabel': 'Sort links',
+  'sort.date-desc': 'NEWEST',
+  'sort.date-asc': 'OLDEST',
+  'sort.offer': 'OFFER A-Z',
+  'filter.status': '{visible} of {total} links',
+
+  // link boxes
+  'link.label': 'Link {link}',
+  'link.labelPinned': 'Pinned link {link}',
+  'link.open': 'OPEN',
+  'link.copy': 'COPY',
+  'link.copied': 'Copied!',
+  'link.error': 'Error',
+  'link.share': 'SHARE',
+  'link.shareLabel': 'Share link {link}',
+  'link.shared': 'Shared!',
+  'link.qr': 'QR',
+  'link.qrLabel': 'Show the QR code for link {link}',
+  'link.remove': 'Remove link {link}',
+  'link.removed': 'Link removed.',
+  'link.pin': '📌 PIN',
+  'link.pinLabel': 'Pin link {link} to the top',
+  'link.note': '📝 NOTE',
+  'link.noteLabel': 'Note and tags for link {link}',
+  'link.tags': 'Tags',
+  'pin.on': 'Link pinned to the top.',
+  'pin.off': 'Link unpinned.',
+  'note.label': 'NOTE',
+  'note.placeholder': 'Customer, campaign, reminder…',
+  'note.tags': 'TAGS (comma separated)',
+  'note.tagsPlaceholder': 'shop, flyer',
+  'note.save': 'SAVE',
+  'note.cancel': 'CANCEL',
+  'note.saved': 'Note and tags saved.',
+  'chip.expired': 'EXPIRED',
+  'chip.expiredTitle': 'The offer for this link has expired',
+
+  // controller announcements and messages
+  'store.error': 'Unable to save the link history.',
+  'undo.action': 'UNDO',
+  'undo.restored': { one: 'Link restored.', other: '{count} links restored.' },
+  'undo.cleared': 'List cleared ({count} links).',
+  'clear.label': { one: 'Clear generated links (1 link)', other: 'Clear generated links ({count} links)' },
+  'clear.empty': 'There are no links to clear.',
+  'clear.done': 'Link list cleared.',
+  'clear.donePinned': 'Link list cleared: pinned links were kept.',
+  'clear.onlyPinned': 'Only pinned links are left: Shift+click the bin (or use the command palette) to clear them too.',
+  'sync.cleared': 'Link list cleared in another tab.',
+  'sync.added': { one: 'New link from another tab.', other: '{count} links added from another tab.' },
+  'offers.active': 'Active',
+  'offers.expired': 'Expired',
+  'offers.updated': 'Offer list updated.',
+  'offers.updatedSummary': 'Offer list updated: {summary}.',
+  'report.invalid': 'Invalid offer catalogue: no offers loaded.',
+  'report.dropped': {
+    one: 'Offer catalogue: 1 invalid entry ignored.',
+    other: 'Offer catalogue: {count} invalid entries ignored.'
+  },
+  'report.details': 'Details',
+  'report.close': 'Close catalogue warning',
+  'changes.title': 'Offer catalogue updated: {summary}.',
+  'changes.close': 'Close catalogue changes',
+  'copy.ok': 'Link copied to the clipboard.',
+  'copy.fail': 'Unable to copy the link.',
+  'share.ok': 'Link shared.',
+  'share.copied': 'Sharing not available: link copied to the clipboard.',
+  'share.fail': 'Unable to share the link.',
+  'share.invalid': 'Invalid shared content: {reason}',
+  'share.noLink': 'No link found.',
+  'share.invalidAnnounce': 'The shared content does not contain a valid CoopVoce link.',
+  'share.defaultTitle': 'CoopVoce offer',
+  'paste.read': 'Link read: {name} · {sim} · {activation}. Change SIM or activation and press GENERATE.',
+  'deeplink.invalid': 'Invalid address parameters: {params}.',
+  'deeplink.copied': 'Generator link copied to the clipboard.',
+  'paste.unknownOffer': '{code} (not in catalogue)',
+  'export.empty': 'There are no links to export.',
+  'export.done': { one: 'Exported 1 link.', other: 'Exported {count} links.' },
+  'export.fail': 'Export failed.',
+  'import.invalid': 'Invalid file: import cancelled.',
+  'import.done': 'Import complete: {added} added, {skipped} skipped.',
+  'generate.hidden': 'Link generated, but hidden by the active filters.',
+  'generate.expired': 'Warning: the offer {name} has expired. The link may not work.',
+  'generate.expiredOn': 'Warning: the offer {name} expired on {date}. The link may not work.',
+  'generate.missing': 'Select or enter the offer code.',
+  'generate.invalid': 'Invalid offer code.',
+  'batch.count': { one: '1 link to generate', other: '{count} links to generate' },
+  'batch.max': '(maximum {max})',
+  'batch.invalidCodes': 'invalid codes: {codes}',
+  'batch.empty': 'Select at least one offer, one SIM type and one activation type.',
+  'batch.done': { one: 'Generated 1 link.', other: 'Generated {count} links.' },
+  'batch.trimmed': { one: 'Because of the history limit only 1 is kept in the history.', other: 'Because of the history limit only {count} are kept in the history.' },
+  'batch.copied': { one: 'Copied 1 link.', other: 'Copied {count} links.' },
+  'batch.copyFail': 'Copy failed.',
+  'batch.exported': { one: 'Exported 1 batch link.', other: 'Exported {count} batch links.' },
+
+  // pasted link parsing (link-creator.js)
+  'parse.empty': 'Empty link.',
+  'parse.notUrl': 'The text is not a valid link.',
+  'parse.host': 'The link does not point to {host}.',
+  'parse.noCode': 'The campaign code (codiceCampagna) is missing.',
+  'parse.badCode': 'Invalid campaign code: {code}.',
+  'parse.noSim': 'The SIM type (tipoFlusso) is missing.',
+  'parse.badSim': 'Unknown SIM type: {value}.',
+  'parse.simMismatch': 'The code {code} is for eSIM but the link says physical SIM.',
+  'parse.noActivation': 'The activation type (tipoAttivazione) is missing.',
+  'parse.badActivation': 'Unknown activation type: {value}.',
+
+  // offer description (offer-format.js)
+  'format.unlimited': 'UNLIMITED {unit}',
+  'format.and': 'and',
+  'format.firstYearThen': '{firstYear} 1ST YEAR, then {monthly}/month',
+  'format.firstYear': '{firstYear} 1ST YEAR',
+  'format.monthly': '{monthly}/month',
+  'format.activationFree': 'FREE ACTIVATION',
+  'format.activationFee': 'ACTIVATION {fee}',
+  'format.expires': 'EXPIRES: {date}',
+  'format.unlimitedShort': 'UNL',
+
+  // comparison table (offer-compare.js)
+  'compare.col.label': 'Offer',
+  'compare.col.monthlyPrice': '€/month',
+  'compare.col.pricePerGb': '€/GB',
+  'compare.col.firstYearCost': '1st year',
+  'compare.col.activationFee': 'Activation',
+  'compare.col.expires': 'Expires',
+  'compare.free': 'FREE',
+  'compare.actions': 'Actions',
+  'compare.generateLabel': 'Generate link for {name}',
+  'compare.empty': 'No offers to compare.',
+
+  // catalogue history (offer-timeline.js)
+  'field.label': 'Name',
+  'field.monthlyPrice': '€/month',
+  'field.firstYearPrice': '1st year',
+  'field.gb': 'GB',
+  'field.minutes': 'Minutes',
+  'field.sms': 'SMS',
+  'field.activationFee': 'Activation',
+  'field.expires': 'Expires',
+  'field.simTypes': 'SIM',
+  'field.notes': 'Notes',
+  'diff.added': '{key} added',
+  'diff.removed': '{key} removed',
+  'summary.added': { one: '1 new', other: '{count} new' },
+  'summary.removed': { one: '1 removed', other: '{count} removed' },
+  'summary.changed': { one: '1 changed', other: '{count} changed' },
+  'timeline.type.added': 'ADDED',
+  'timeline.type.removed': 'REMOVED',
+  'timeline.type.changed': 'CHANGED',
+  'timeline.notFound': 'Snapshot not found.',
+  'timeline.changes': 'Changes since the previous snapshot',
+  'timeline.noChanges': 'No differences in the offers.',
+  'timeline.first': 'First archived snapshot.',
+  'timeline.catalogue': { one: 'Catalogue (1 offer)', other: 'Catalogue ({count} offers)' },
+  'timeline.expires': 'exp. {date}',
+  'timeline.noVersions': 'No archived versions for {key}.',
+  'timeline.unavailable': 'Offer archive not available.',
+  'timeline.empty': 'No archived snapshots.',
+  'timeline.snapshotOption': { one: '{date} (1 offer)', other: '{date} ({count} offers)' },
+  'timeline.allOffers': 'Whole catalogue',
+  'timeline.snapshot': 'Snapshot',
+  'timeline.offer': 'Offer',
+
+  // printable sheet (offer-sheet.js)
+  'sheet.title': 'CoopVoce offers',
+  'sheet.updated': 'Updated on {date}',
+  'sheet.empty': 'Select one or more offers to print.',
+  'sheet.expiredOn': 'Expired on {date}',
+  'sheet.validUntil': 'Valid until {date}',
+  'sheet.noLink': 'No links generated.',
+
+  // QR code (link-qr.js)
+  'qr.title': 'LINK QR CODE',
+  'qr.imageLabel': 'QR code for link {name}',
+  'qr.print': '🖨️ PRINT',
+  'qr.close': 'CLOSE',
+  'qr.unavailable': 'QR code not available.',
+  'qr.pngDone': 'QR code downloaded (PNG).',
+  'qr.pngFail': 'Unable to create the QR code PNG.',
+  'qr.svgDone': 'QR code downloaded (SVG).',
+  'qr.svgFail': 'Unable to download the QR code.',
+
+  // keyboard and command palette (command-palette.js)
+  'palette.title': 'Command palette',
+  'palette.placeholder': 'Search a command or an offer…',
+  'palette.empty': 'No commands found.',
+  'palette.hint': '↑ ↓ to choose · Enter to run · Esc to close',
+  'help.title': 'KEYBOARD SHORTCUTS',
+  'help.close': 'CLOSE',
+  'help.arrows': 'Previous / next link',
+  'help.homeEnd': 'First / last link',
+  'help.leftRight': 'Link buttons',
+  'help.open': 'Open the link',
+  'help.delete': 'Remove the link',
+  'help.copy': 'Copy the link',
+  'cmd.palette': 'Open the command palette',
+  'cmd.help': 'Show keyboard shortcuts',
+  'cmd.generate': 'Generate the link',
+  'cmd.generateFor': 'Generate link: {name}',
+  'cmd.focusOffer': 'Go to the offer choice',
+  'cmd.toggleSim': 'Switch SIM type',
+  'cmd.toggleActivation': 'Switch activation type',
+  'cmd.copyGeneratorLink': 'Copy a link to this generator (offer, SIM, activation)',
+  'cmd.copyLatest': 'Copy the latest link',
+  'cmd.clear': 'Clear generated links',
+  'cmd.clearAll': 'Clear all links, pinned ones included',
+  'cmd.undo': 'Undo the last removal',
+  'cmd.exportJson': 'Export links as JSON',
+  'cmd.exportCsv': 'Export links as CSV',
+  'cmd.import': 'Import links from a file',
+  'cmd.compare': 'Show/hide the offer comparison',
+  'cmd.timeline': 'Show/hide the offer history',
+  'cmd.batch': 'Show/hide batch generation',
+  'cmd.sheet': 'Show/hide the printable offers',
+  'cmd.printSheet': 'Print the offer sheet',
+  'cmd.theme': 'Theme: {name}',
+  'cmd.language': 'Language: {name}',
+  'cmd.noLinks': 'There are no generated links.',
+  'kbd.sim': 'SIM: {value}',
+  'kbd.activation': 'Activation: {value}'
+};
\ No newline at end of file
@@ -0,0 +1,292 @@
+// js/locales/it.js
+// Catalogo italiano (lingua di riferimento: ogni chiave deve esistere qui).
+// Plurali: { one, other } scelti da Intl.PluralRules; "=N" per un testo specifico per N.
+
+export default {
+  // valori del form
+  'sim.SPEDIZIONE': 'SIM',
+  'sim.ESIM': 'eSIM',
+  'activation.1': 'NUOVA',
+  'activation.2': 'MNP',
+
+  // markup statico (index.html)
+  'app.themeToggle': 'Tema e colori',
+  'theme.legend': 'TEMA',
+  'theme.system': 'SISTEMA',
+  'theme.light': 'CHIARO',
+  'theme.dark': 'SCURO',
+  'theme.contrast': 'ALTO CONTRASTO',
+  'theme.accent': 'COLORI',
+  'theme.preset.ocean': 'Oceano',
+  'theme.preset.violet': 'Viola',
+  'theme.preset.sunset': 'Tramonto',
+  'theme.primary': 'PRINCIPALE',
+  'theme.secondary': 'SECONDARIO',
+  'theme.contrastHint': 'In alto contrasto i colori personalizzati non vengono usati.',
+  'app.language': 'Lingua',
+  'form.offer': 'OFFERTA?',
+  'form.select': 'SELEZIONA',
+  'form.hideExpired': 'NASCONDI SCADUTE',
+  'form.custom': 'PERSONALIZZATO?',
+  'form.customPlaceholder': 'CODICE OFFERTA',
+  'form.sim': 'SIM?',
+  'form.activation': 'ATTIVAZIONE?',
+  'form.pasteLink': 'INCOLLA LINK?',
+  'generate.button': 'GENERA',
+  'generate.done': 'GENERATO',
+  'compare.toggle': '📊 CONFRONTA OFFERTE',
+  'compare.region': 'Confronto offerte',
+  'timeline.toggle': '🕘 STORICO OFFERTE',
+  'timeline.region': 'Storico del catalogo offerte',
+  'batch.toggle': '⚡ GENERAZIONE MULTIPLA',
+  'batch.region': 'Generazione multipla di link',
+  'batch.offers': 'OFFERTE',
+  'batch.codes': 'CODICI (uno per riga o separati da virgola)',
+  'batch.codesPlaceholder': 'CODICE1, CODICE2',
+  'batch.sim': 'SIM',
+  'batch.activation': 'ATTIVAZIONE',
+  'batch.generate': 'GENERA TUTTI',
+  'batch.generated': 'GENERATI',
+  'batch.result': 'Link del batch',
+  'batch.copyAll': '📋 COPIA TUTTI',
+  'sheet.toggle': '🖨️ STAMPA OFFERTE',
+  'sheet.region': 'Foglio stampabile delle offerte',
+  'sheet.offers': 'OFFERTE DA STAMPARE',
+  'sheet.selectAll': 'SELEZIONA TUTTE',
+  'sheet.print': '🖨️ STAMPA',
+  'sheet.hint': 'Per ogni offerta vengono stampati i link già generati; se non ce ne sono, il link con SIM e attivazione scelte sopra.',
+  'io.group': 'Esporta o importa i link',
+  'io.exportJson': 'Esporta i link in JSON',
+  'io.exportCsv': 'Esporta i link in CSV',
+  'io.import': '⬆️ IMPORTA',
+  'io.importTitle': 'Importa link da file JSON o CSV',
+  'shortcuts.button': '⌨️ SCORCIATOIE',
+  'shortcuts.title': 'Scorciatoie da tastiera (Ctrl/Cmd+/) · palette comandi (Ctrl/Cmd+K)',
+  'filter.region': 'Filtra i link generati',
+  'filter.search': 'CERCA (link, codice, offerta)',
+  'filter.searchLabel': 'Cerca nei link generati',
+  'filter.simLabel': 'Filtra per tipo SIM',
+  'filter.allSims': 'TUTTE LE SIM',
+  'filter.activationLabel': 'Filtra per tipo attivazione',
+  'filter.allActivations': 'TUTTE LE ATTIVAZIONI',
+  'filter.sortLabel': 'Ordina i link',
+  'sort.date-desc': 'PIÙ RECENTI',
+  'sort.date-asc': 'MENO RECENTI',
+  'sort.offer': 'OFFERTA A-Z',
+  'filter.status': '{visible} di {total} link',
+
+  // box dei link
+  'link.label': 'Link {link}',
+  'link.labelPinned': 'Link fissato {link}',
+  'link.open': 'APRI',
+  'link.copy': 'COPIA',
+  'link.copied': 'Copiato!',
+  'link.error': 'Errore',
+  'link.share': 'CONDIVIDI',
+  'link.shareLabel': 'Condividi il link {link}',
+  'link.shared': 'Condiviso!',
+  'link.qr': 'QR',
+  'link.qrLabel': 'Mostra il QR code del link {link}',
+  'link.remove': 'Rimuovi link {link}',
+  'link.removed': 'Link rimosso.',
+  'link.pin': '📌 FISSA',
+  'link.pinLabel': 'Fissa in cima il link {link}',
+  'link.note': '📝 NOTA',
+  'link.noteLabel': 'Nota e tag del link {link}',
+  'link.tags': 'Tag',
+  'pin.on': 'Link fissato in cima.',
+  'pin.off': 'Link non più fissato.',
+  'note.label': 'NOTA',
+  'note.placeholder': 'Cliente, campagna, promemoria…',
+  'note.tags': 'TAG (separati da virgola)',
+  'note.tagsPlaceholder': 'negozio, volantino',
+  'note.save': 'SALVA',
+  'note.cancel': 'ANNULLA',
+  'note.saved': 'Nota e tag salvati.',
+  'chip.expired': 'SCADUTA',
+  'chip.expiredTitle': "L'offerta di questo link è scaduta",
+
+  // annunci e messaggi del controller
+  'store.error': 'Impossibile salvare la cronologia dei link.',
+  'undo.action': 'ANNULLA',
+  'undo.restored': { one: 'Link ripristinato.', other: '{count} link ripristinati.' },
+  'undo.cleared': 'Elenco svuotato ({count} link).',
+  'clear.label': { one: 'Svuota i link generati (1 presente)', other: 'Svuota i link generati ({count} presenti)' },
+  'clear.empty': 'Non ci sono link da cancellare.',
+  'clear.done': 'Elenco link svuotato.',
+  'clear.donePinned': 'Elenco link svuotato: i link fissati restano.',
+  'clear.onlyPinned': 'Restano solo link fissati: Maiusc+clic sul cestino (o la palette comandi) per svuotare anche quelli.',
+  'sync.cleared': "Elenco link svuotato in un'altra scheda.",
+  'sync.added': { one: "Nuovo link da un'altra scheda.", other: "{count} link aggiunti da un'altra scheda." },
+  'offers.active': 'Attive',
+  'offers.expired': 'Scadute',
+  'offers.updated': 'Elenco offerte aggiornato.',
+  'offers.updatedSummary': 'Elenco offerte aggiornato: {summary}.',
+  'report.invalid': 'Catalogo offerte non valido: nessuna offerta caricata.',
+  'report.dropped': {
+    one: 'Catalogo offerte: 1 voce ignorata perché non valida.',
+    other: 'Catalogo offerte: {count} voci ignorate perché non valide.'
+  },
+  'report.details': 'Dettagli',
+  'report.close': 'Chiudi avviso catalogo',
+  'changes.title': 'Catalogo offerte aggiornato: {summary}.',
+  'changes.close': 'Chiudi novità catalogo',
+  'copy.ok': 'Link copiato negli appunti.',
+  'copy.fail': 'Impossibile copiare il link.',
+  'share.ok': 'Link condiviso.',
+  'share.copied': 'Condivisione non disponibile: link copiato negli appunti.',
+  'share.fail': 'Impossibile condividere il link.',
+  'share.invalid': 'Contenuto condiviso non valido: {reason}',
+  'share.noLink': 'Nessun link trovato.',
+  'share.invalidAnnounce': 'Il contenuto condiviso non contiene un link CoopVoce valido.',
+  'share.defaultTitle': 'Offerta CoopVoce',
+  'paste.read': 'Link letto: {name} · {sim} · {activation}. Modifica SIM o attivazione e premi GENERA.',
+  'deeplink.invalid': 'Parametri dell\'indirizzo non validi: {params}.',
+  'deeplink.copied': 'Link al generatore copiato negli appunti.',
+  'paste.unknownOffer': '{code} (non in catalogo)',
+  'export.empty': 'Non ci sono link da esportare.',
+  'export.done': { one: 'Esportato 1 link.', other: 'Esportati {count} link.' },
+  'export.fail': 'Esportazione non riuscita.',
+  'import.invalid': 'File non valido: importazione annullata.',
+  'import.done': 'Importazione completata: {added} aggiunti, {skipped} ignorati.',
+  'generate.hidden': 'Link generato, ma nascosto dai filtri attivi.',
+  'generate.expired': "Attenzione: l'offerta {name} è scaduta. Il link potrebbe non funzionare.",
+  'generate.expiredOn': "Attenzione: l'offerta {name} è scaduta il {date}. Il link potrebbe non funzionare.",
+  'generate.missing': 'Seleziona o inserisci il codice offerta.',
+  'generate.invalid': 'Codice offerta non valido.',
+  'batch.count': { one: '1 link da generare', other: '{count} link da generare' },
+  'batch.max': '(massimo {max})',
+  'batch.invalidCodes': 'codici non validi: {codes}',
+  'batch.empty': "Seleziona almeno un'offerta, un tipo di SIM e un tipo di attivazione.",
+  'batch.done': { one: 'Generato 1 link.', other: 'Generati {count} link.' },
+  'batch.trimmed': { one: 'Per il limite della cronologia ne resta salvato solo 1.', other: 'Per il limite della cronologia ne restano salvati solo {count}.' },
+  'batch.copied': { one: 'Copiato 1 link.', other: 'Copiati {count} link.' },
+  'batch.copyFail': 'Copia non riuscita.',
+  'batch.exported': { one: 'Esportato 1 link del batch.', other: 'Esportati {count} link del batch.' },
+
+  // lettura dei link incollati (link-creator.js)
+  'parse.empty': 'Link vuoto.',
+  'parse.notUrl': 'Il testo non è un link valido.',
+  'parse.host': 'Il link non punta a {host}.',
+  'parse.noCode': 'Manca il codice campagna (codiceCampagna).',
+  'parse.badCode': 'Codice campagna non valido: {code}.',
+  'parse.noSim': 'Manca il tipo di SIM (tipoFlusso).',
+  'parse.badSim': 'Tipo di SIM sconosciuto: {value}.',
+  'parse.simMismatch': 'Il codice {code} è per eSIM ma il link indica una SIM fisica.',
+  'parse.noActivation': 'Manca il tipo di attivazione (tipoAttivazione).',
+  'parse.badActivation': 'Tipo di attivazione sconosciuto: {value}.',
+
+  // descrizione delle offerte (offer-format.js)
+  'format.unlimited': '{unit} ILL',
+  'format.and': 'e',
+  'format.firstYearThen': '{firstYear} 1° ANNO, poi {monthly}/mese',
+  'format.firstYear': '{firstYear} 1° ANNO',
+  'format.monthly': '{monthly}/mese',
+  'format.activationFree': 'ATTIVAZIONE FREE',
+  'format.activationFee': 'ATTIVAZIONE {fee}',
+  'format.expires': 'SCADENZA: {date}',
+  'format.unlimitedShort': 'ILL',
+
+  // tabella di confronto (offer-compare.js)
+  'compare.col.label': 'Offerta',
+  'compare.col.monthlyPrice': '€/mese',
+  'compare.col.pricePerGb': '€/GB',
+  'compare.col.firstYearCost': '1° anno',
+  'compare.col.activationFee': 'Attivazione',
+  'compare.col.expires': 'Scadenza',
+  'compare.free': 'FREE',
+  'compare.actions': 'Azioni',
+  'compare.generateLabel': 'Genera link per {name}',
+  'compare.empty': 'Nessuna offerta da confrontare.',
+
+  // storico del catalogo (offer-timeline.js)
+  'field.label': 'Nome',
+  'field.monthlyPrice': '€/mese',
+  'field.firstYearPrice': '1° anno',
+  'field.gb': 'GB',
+  'field.minutes': 'Minuti',
+  'field.sms': 'SMS',
+  'field.activationFee': 'Attivazione',
+  'field.expires': 'Scadenza',
+  'field.simTypes': 'SIM',
+  'field.notes': 'Note',
+  'diff.added': '{key} aggiunta',
+  'diff.removed': '{key} rimossa',
+  'summary.added': { one: '1 nuova', other: '{count} nuove' },
+  'summary.removed': { one: '1 rimossa', other: '{count} rimosse' },
+  'summary.changed': { one: '1 modificata', other: '{count} modificate' },
+  'timeline.type.added': 'AGGIUNTA',
+  'timeline.type.removed': 'RIMOSSA',
+  'timeline.type.changed': 'MODIFICATA',
+  'timeline.notFound': 'Snapshot non trovato.',
+  'timeline.changes': 'Modifiche rispetto allo snapshot precedente',
+  'timeline.noChanges': 'Nessuna differenza nelle offerte.',
+  'timeline.first': 'Primo snapshot archiviato.',
+  'timeline.catalogue': { one: 'Catalogo (1 offerta)', other: 'Catalogo ({count} offerte)' },
+  'timeline.expires': 'scad. {date}',
+  'timeline.noVersions': 'Nessuna versione archiviata per {key}.',
+  'timeline.unavailable': 'Archivio offerte non disponibile.',
+  'timeline.empty': 'Nessuno snapshot archiviato.',
+  'timeline.snapshotOption': { one: '{date} (1 offerta)', other: '{date} ({count} offerte)' },
+  'timeline.allOffers': 'Tutto il catalogo',
+  'timeline.snapshot': 'Snapshot',
+  'timeline.offer': 'Offerta',
+
+  // foglio stampabile (offer-sheet.js)
+  'sheet.title': 'Offerte CoopVoce',
+  'sheet.updated': 'Aggiornato al {date}',
+  'sheet.empty': 'Seleziona una o più offerte da stampare.',
+  'sheet.expiredOn': 'Scaduta il {date}',
+  'sheet.validUntil': 'Valida fino al {date}',
+  'sheet.noLink': 'Nessun link generato.',
+
+  // QR code (link-qr.js)
+  'qr.title': 'QR CODE DEL LINK',
+  'qr.imageLabel': 'QR code del link {name}',
+  'qr.print': '🖨️ STAMPA',
+  'qr.close': 'CHIUDI',
+  'qr.unavailable': 'QR code non disponibile.',
+  'qr.pngDone': 'QR code scaricato (PNG).',
+  'qr.pngFail': 'Impossibile creare il PNG del QR code.',
+  'qr.svgDone': 'QR code scaricato (SVG).',
+  'qr.svgFail': 'Impossibile scaricare il QR code.',
+
+  // tastiera e palette comandi (command-palette.js)
+  'palette.title': 'Palette comandi',
+  'palette.placeholder': 'Cerca un comando o un\'offerta…',
+  'palette.empty': 'Nessun comando trovato.',
+  'palette.hint': '↑ ↓ per scegliere · Invio per eseguire · Esc per chiudere',
+  'help.title': 'SCORCIATOIE DA TASTIERA',
+  'help.close': 'CHIUDI',
+  'help.arrows': 'Link precedente / successivo',
+  'help.homeEnd': 'Primo / ultimo link',
+  'help.leftRight': 'Pulsanti del link',
+  'help.open': 'Apri il link',
+  'help.delete': 'Rimuovi il link',
+  'help.copy': 'Copia il link',
+  'cmd.palette': 'Apri la palette comandi',
+  'cmd.help': 'Mostra le scorciatoie da tastiera',
+  'cmd.generate': 'Genera il link',
+  'cmd.generateFor': 'Genera link: {name}',
+  'cmd.focusOffer': 'Vai alla scelta dell\'offerta',
+  'cmd.toggleSim': 'Cambia tipo di SIM',
+  'cmd.toggleActivation': 'Cambia tipo di attivazione',
+  'cmd.copyGeneratorLink': 'Copia il link a questo generatore (offerta, SIM, attivazione)',
+  'cmd.copyLatest': 'Copia l\'ultimo link',
+  'cmd.clear': 'Svuota i link generati',
+  'cmd.clearAll': 'Svuota tutti i link, anche i fissati',
+  'cmd.undo': 'Annulla l\'ultima rimozione',
+  'cmd.exportJson': 'Esporta i link in JSON',
+  'cmd.exportCsv': 'Esporta i link in CSV',
+  'cmd.import': 'Importa link da file',
+  'cmd.compare': 'Mostra/nascondi il confronto offerte',
+  'cmd.timeline': 'Mostra/nascondi lo storico offerte',
+  'cmd.batch': 'Mostra/nascondi la generazione multipla',
+  'cmd.sheet': 'Mostra/nascondi la stampa offerte',
+  'cmd.printSheet': 'Stampa il foglio offerte',
+  'cmd.theme': 'Tema: {name}',
+  'cmd.language': 'Lingua: {name}',
+  'cmd.noLinks': 'Non ci sono link generati.',
+  'kbd.sim': 'SIM: {value}',
+  'kbd.activation': 'Attivazione: {value}'
+};
\ No newline at end of file
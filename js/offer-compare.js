@@ -0,0 +1,160 @@
+// js/offer-compare.js
+// Tabella di confronto delle offerte del catalogo (window.CoolVoceOffers, campi tipizzati v2).
+// - buildComparisonRows / sortComparisonRows: pure functions (facili da testare)
+// - createCompareTable(container, { onGenerate }): rendering DOM con colonne ordinabili e
+//   un'azione "GENERA" per riga; la generazione è delegata al controller (stesso percorso del bottone GENERA).
+
+import { escapeHtml } from './utils.js';
+import { formatPrice, formatDate, UNLIMITED } from './offer-format.js';
+import { t, getLang } from './i18n.js';
+
+const isAmount = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * buildComparisonRows(offers) -> row[]
+ * row: { key, label, status, monthlyPrice, pricePerGb, firstYearCost, activationFee, expires }
+ * - pricePerGb: €/mese diviso i GB (null se GB illimitati o assenti)
+ * - firstYearCost: firstYearPrice (o 12 × monthlyPrice) + activationFee
+ */
+export function buildComparisonRows(offers = {}) {
+  return Object.keys(offers || {}).map(key => {
+    const o = offers[key] || {};
+    const monthly = isAmount(o.monthlyPrice) ? o.monthlyPrice : null;
+    const fee = isAmount(o.activationFee) ? o.activationFee : null;
+    const pricePerGb = monthly !== null && isAmount(o.gb) && o.gb > 0 ? monthly / o.gb : null;
+    let firstYearCost = isAmount(o.firstYearPrice) ? o.firstYearPrice : (monthly !== null ? monthly * 12 : null);
+    if (firstYearCost !== null && fee !== null) firstYearCost += fee;
+    return {
+      key,
+      label: o.label || key,
+      status: o.status || 'unknown',
+      monthlyPrice: monthly,
+      gb: o.gb === UNLIMITED ? UNLIMITED : (isAmount(o.gb) ? o.gb : null),
+      pricePerGb,
+      firstYearCost: firstYearCost !== null ? Math.round(firstYearCost * 100) / 100 : null,
+      activationFee: fee,
+      expires: o.expires || null
+    };
+  });
+}
+
+// colonne: chiave del valore + chiave del messaggio (i18n) per l'etichetta; i valori null vanno sempre in fondo
+export const COMPARE_COLUMNS = [
+  { id: 'label', labelKey: 'compare.col.label', type: 'text' },
+  { id: 'monthlyPrice', labelKey: 'compare.col.monthlyPrice', type: 'number' },
+  { id: 'pricePerGb', labelKey: 'compare.col.pricePerGb', type: 'number' },
+  { id: 'firstYearCost', labelKey: 'compare.col.firstYearCost', type: 'number' },
+  { id: 'activationFee', labelKey: 'compare.col.activationFee', type: 'number' },
+  { id: 'expires', labelKey: 'compare.col.expires', type: 'text' }
+];
+
+export function sortComparisonRows(rows, columnId, direction = 'asc') {
+  const col = COMPARE_COLUMNS.find(c => c.id === columnId);
+  if (!col) return rows.slice();
+  const dir = direction === 'desc' ? -1 : 1;
+  return rows.slice().sort((a, b) => {
+    const va = a[col.id];
+    const vb = b[col.id];
+    if (va == null && vb == null) return 0;
+    if (va == null) return 1;
+    if (vb == null) return -1;
+    const cmp = col.type === 'number' ? va - vb : String(va).localeCompare(String(vb), getLang(), { sensitivity: 'base' });
+    return cmp * dir;
+  });
+}
+
+function formatCell(row, id) {
+  switch (id) {
+    case 'monthlyPrice':
+    case 'firstYearCost':
+      return row[id] !== null ? formatPrice(row[id]) : '—';
+    case 'pricePerGb':
+      if (row.gb === UNLIMITED) return t('format.unlimited', { unit: 'GB' });
+      return row.pricePerGb !== null ? `${row.pricePerGb.toFixed(3)}€` : '—';
+    case 'activationFee':
+      if (row.activationFee === null) return '—';
+      return row.activationFee === 0 ? t('compare.free') : formatPrice(row.activationFee);
+    case 'expires':
+      return row.expires ? formatDate(row.expires) : '—';
+    default:
+      return String(row[id] == null ? '' : row[id]);
+  }
+}
+
+/**
+ * createCompareTable(container, { onGenerate }) -> { render, sortBy, getSort, container }
+ * render(offers, { filter }) ridisegna la tabella mantenendo l'ordinamento corrente.
+ * onGenerate(key) viene chiamata dal bottone "GENERA" della riga.
+ */
+export function createCompareTable(container, { onGenerate = null } = {}) {
+  if (!container) throw new Error('container is required for compare table');
+
+  const sort = { column: 'monthlyPrice', direction: 'asc' };
+  let lastOffers = {};
+  let lastFilter = null;
+
+  function headerHtml() {
+    return COMPARE_COLUMNS.map(col => {
+      const active = sort.column === col.id;
+      const ariaSort = active ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none';
+      const arrow = active ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+      return '<th scope="col" aria-sort="'+ariaSort+'">'+
+        '<button type="button" class="compare-sort" data-column="'+col.id+'">'+escapeHtml(t(col.labelKey))+arrow+'</button></th>';
+    }).join('') + '<th scope="col"><span class="visually-hidden">'+escapeHtml(t('compare.actions'))+'</span></th>';
+  }
+
+  function rowHtml(row) {
+    const cells = COMPARE_COLUMNS.map(col => {
+      if (col.id === 'label') {
+        const expired = row.status === 'expired' ? ' <span class="chip chip-expired">'+escapeHtml(t('chip.expired'))+'</span>' : '';
+        return '<th scope="row">'+escapeHtml(row.label)+' <span class="compare-key">'+escapeHtml(row.key)+'</span>'+expired+'</th>';
+      }
+      return '<td>'+escapeHtml(formatCell(row, col.id))+'</td>';
+    }).join('');
+    return '<tr data-offer="'+escapeHtml(row.key)+'"'+(row.status === 'expired' ? ' class="expired"' : '')+'>'+cells+
+      '<td><button type="button" class="compare-generate" data-offer="'+escapeHtml(row.key)+'" aria-label="'+escapeHtml(t('compare.generateLabel', { name: row.label }))+'">'+escapeHtml(t('generate.button'))+'</button></td></tr>';
+  }
+
+  function render(offers = lastOffers, { filter = lastFilter } = {}) {
+    lastOffers = offers || {};
+    lastFilter = filter;
+    let rows = buildComparisonRows(lastOffers);
+    if (typeof filter === 'function') rows = rows.filter(filter);
+    rows = sortComparisonRows(rows, sort.column, sort.direction);
+    if (rows.length === 0) {
+      container.innerHTML = '<p class="compare-empty">'+escapeHtml(t('compare.empty'))+'</p>';
+      return 0;
+    }
+    container.innerHTML =
+      '<table class="compare-table"><caption class="visually-hidden">'+escapeHtml(t('compare.region'))+'</caption>'+
+      '<thead><tr>'+headerHtml()+'</tr></thead><tbody>'+rows.map(rowHtml).join('')+'</tbody></table>';
+    return rows.length;
+  }
+
+  // stessa colonna: inverte la direzione; nuova colonna: ascendente
+  function sortBy(columnId, direction) {
+    if (!COMPARE_COLUMNS.some(c => c.id === columnId)) return;
+    if (direction) sort.direction = direction;
+    else sort.direction = sort.column === columnId && sort.direction === 'asc' ? 'desc' : 'asc';
+    sort.column = columnId;
+    render();
+    const btn = container.querySelector(`.compare-sort[data-column="${columnId}"]`);
+    if (btn) btn.focus();
+  }
+
+  function getSort() { return { ...sort }; }
+
+  container.addEventListener('click', (ev) => {
+    const btn = ev.target && ev.target.closest ? ev.target.closest('button') : null;
+    if (!btn) return;
+    if (btn.classList.contains('compare-sort')) {
+      sortBy(btn.dataset.column);
+      return;
+    }
+    if (btn.classList.contains('compare-generate') && typeof onGenerate === 'function') {
+      onGenerate(btn.dataset.offer);
+    }
+  });
+
+  return { render, sortBy, getSort, container };
+}
\ No newline at end of file
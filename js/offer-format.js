@@ -0,0 +1,82 @@
+// js/offer-format.js
+// Pure functions per rendere leggibili i campi tipizzati di un'offerta (formato v2, vedi offers-schema.js).
+// Restituiscono testo semplice: l'escaping/sanitize resta a carico di chi lo inserisce nel DOM.
+// I testi seguono la lingua corrente (i18n.js, messaggi format.*).
+
+import { t, simLabel } from './i18n.js';
+
+export const UNLIMITED = 'unlimited';
+
+const TYPED_FIELDS = ['monthlyPrice', 'firstYearPrice', 'gb', 'minutes', 'sms', 'activationFee', 'expires', 'simTypes'];
+
+export function hasTypedFields(offer) {
+  return !!offer && TYPED_FIELDS.some(f => offer[f] != null);
+}
+
+// 5.5 -> "5.50€"
+export function formatPrice(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return '';
+  return `${value.toFixed(2)}€`;
+}
+
+// "2025-10-22" -> "22/10/2025"
+export function formatDate(iso) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(iso || ''));
+  return m ? `${m[3]}/${m[2]}/${m[1]}` : '';
+}
+
+function formatQuantity(value, unit, { suffix = false } = {}) {
+  if (value === UNLIMITED) return t('format.unlimited', { unit });
+  if (typeof value !== 'number') return '';
+  return suffix ? `${value}${unit}` : `${value} ${unit}`;
+}
+
+// "MIN ILL, 1000 SMS e 100GB"
+export function formatAllowance(offer = {}) {
+  const parts = [
+    formatQuantity(offer.minutes, 'MIN'),
+    formatQuantity(offer.sms, 'SMS'),
+    formatQuantity(offer.gb, 'GB', { suffix: true })
+  ].filter(Boolean);
+  if (parts.length <= 1) return parts.join('');
+  return `${parts.slice(0, -1).join(', ')} ${t('format.and')} ${parts[parts.length - 1]}`;
+}
+
+// "29.90€ 1° ANNO, poi 4.90€/mese | ATTIVAZIONE FREE"
+export function formatPricing(offer = {}) {
+  const parts = [];
+  const monthly = formatPrice(offer.monthlyPrice);
+  const firstYear = formatPrice(offer.firstYearPrice);
+  if (firstYear && monthly) parts.push(t('format.firstYearThen', { firstYear, monthly }));
+  else if (firstYear) parts.push(t('format.firstYear', { firstYear }));
+  else if (monthly) parts.push(t('format.monthly', { monthly }));
+  if (typeof offer.activationFee === 'number') {
+    parts.push(offer.activationFee === 0 ? t('format.activationFree') : t('format.activationFee', { fee: formatPrice(offer.activationFee) }));
+  }
+  return parts.join(' | ');
+}
+
+/**
+ * formatOfferLines(offer) -> string[]
+ * Righe della descrizione: consumi, prezzi, scadenza, tipi SIM, poi le note libere.
+ * Per offerte senza campi tipizzati restituisce `desc` così com'è (compatibilità).
+ */
+export function formatOfferLines(offer) {
+  if (!offer) return [];
+  if (!hasTypedFields(offer)) {
+    if (Array.isArray(offer.desc)) return offer.desc.map(d => String(d));
+    return offer.desc != null ? String(offer.desc).split('\n') : [];
+  }
+  const lines = [];
+  const allowance = formatAllowance(offer);
+  if (allowance) lines.push(`📱 ${allowance}`);
+  const pricing = formatPricing(offer);
+  if (pricing) lines.push(`💰 ${pricing}`);
+  const expires = formatDate(offer.expires);
+  if (expires) lines.push(`📅 ${t('format.expires', { date: expires })}`);
+  if (Array.isArray(offer.simTypes) && offer.simTypes.length) {
+    lines.push(`📶 ${offer.simTypes.map(simLabel).join(' / ')}`);
+  }
+  if (Array.isArray(offer.notes)) offer.notes.forEach(n => lines.push(String(n)));
+  return lines;
+}
\ No newline at end of file
@@ -0,0 +1,97 @@
+// js/offer-sheet.js
+// Foglio stampabile delle offerte (volantino per il banco): per ogni offerta label, descrizione sanificata,
+// scadenza, link generati e QR code. Lo stile di stampa (palette chiara, anche col tema scuro) è in css/print.css.
+// - offerDescriptionHtml(offer): descrizione sanificata (condivisa con il riquadro descrizione del form)
+// - buildSheetEntries: pure function sui dati (catalogo + history)
+// - renderOfferSheet(container, entries): markup del foglio
+
+import { escapeHtml, sanitizeHtml } from './utils.js';
+import { formatOfferLines, hasTypedFields, formatDate } from './offer-format.js';
+import { createQrMatrix, qrToSvg } from './link-qr.js';
+import { t, simLabel, activationLabel } from './i18n.js';
+
+// descrizione dell'offerta come HTML sicuro (solo <br/>)
+export function offerDescriptionHtml(offer) {
+  if (!offer) return '';
+  const desc = offer.desc;
+  let rawHtml = '';
+  // formato v2: descrizione generata dai campi tipizzati (testo, quindi escapato)
+  if (hasTypedFields(offer)) rawHtml = formatOfferLines(offer).map(line => escapeHtml(line)).join('<br/>');
+  else if (Array.isArray(desc)) rawHtml = desc.map(d => String(d)).join('<br/>');
+  else if (desc != null) rawHtml = String(desc).replace(/\n/g, '<br/>');
+
+  try { return sanitizeHtml(rawHtml, { ALLOWED_TAGS: ['br'] }); }
+  catch (e) { return escapeHtml(rawHtml).replace(/\n/g, '<br/>'); }
+}
+
+/**
+ * buildSheetEntries(offers, keys, { history, fallback }) -> [{ key, label, descHtml, expires, expired, links, generated }]
+ * links: link della history per quell'offerta (più recente prima, senza duplicati);
+ * se non ce ne sono e `fallback(key)` è fornito, il suo record viene usato come unico link (generated: false).
+ * Le chiavi non presenti nel catalogo vengono ignorate.
+ */
+export function buildSheetEntries(offers, keys = [], { history = [], fallback = null } = {}) {
+  const byOffer = new Map();
+  history.slice().sort((a, b) => (b.ts || 0) - (a.ts || 0)).forEach(item => {
+    if (!item || !item.offerKey || !item.link) return;
+    const list = byOffer.get(item.offerKey) || [];
+    if (!list.some(it => it.link === item.link)) list.push(item);
+    byOffer.set(item.offerKey, list);
+  });
+  return keys.filter(key => offers && offers[key]).map(key => {
+    const offer = offers[key];
+    let links = (byOffer.get(key) || []).map(({ link, tipoFlusso, tipoAttivazione }) => ({ link, tipoFlusso, tipoAttivazione }));
+    const generated = links.length > 0;
+    if (!generated && typeof fallback === 'function') {
+      const item = fallback(key);
+      if (item && item.link) links = [{ link: item.link, tipoFlusso: item.tipoFlusso, tipoAttivazione: item.tipoAttivazione }];
+    }
+    return {
+      key,
+      label: offer.label || key,
+      descHtml: offerDescriptionHtml(offer),
+      expires: formatDate(offer.expires),
+      expired: offer.status === 'expired',
+      links,
+      generated
+    };
+  });
+}
+
+function qrHtml(link) {
+  try {
+    return '<div class="sheet-qr">' + qrToSvg(createQrMatrix(link), { title: t('qr.imageLabel', { name: link }) }) + '</div>';
+  } catch (e) {
+    // encoder non caricato: il foglio resta utilizzabile con il solo link
+    return '';
+  }
+}
+
+/**
+ * renderOfferSheet(container, entries, { title, date }) -> numero di offerte nel foglio
+ */
+export function renderOfferSheet(container, entries, { title = t('sheet.title'), date = new Date() } = {}) {
+  if (!container) throw new Error('container is required for offer sheet');
+  if (!entries.length) {
+    container.innerHTML = '<p class="sheet-empty">' + escapeHtml(t('sheet.empty')) + '</p>';
+    return 0;
+  }
+  const pad = (n) => String(n).padStart(2, '0');
+  const day = `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}`;
+  container.innerHTML =
+    '<header class="sheet-header"><h2>' + escapeHtml(title) + '</h2><p>' + escapeHtml(t('sheet.updated', { date: day })) + '</p></header>' +
+    entries.map(entry => {
+      const links = entry.links.map(l =>
+        '<li class="sheet-link">' + qrHtml(l.link) +
+        '<div class="sheet-link-text"><span class="chip">' + escapeHtml(simLabel(l.tipoFlusso)) + '</span> ' +
+        '<span class="chip">' + escapeHtml(activationLabel(l.tipoAttivazione)) + '</span>' +
+        '<a href="' + escapeHtml(l.link) + '">' + escapeHtml(l.link) + '</a></div></li>').join('');
+      return '<article class="sheet-entry' + (entry.expired ? ' expired' : '') + '">' +
+        '<h3 class="sheet-label">' + escapeHtml(entry.label) + ' <span class="sheet-key">(' + escapeHtml(entry.key) + ')</span></h3>' +
+        (entry.expires ? '<p class="sheet-expires">' + escapeHtml(t(entry.expired ? 'sheet.expiredOn' : 'sheet.validUntil', { date: entry.expires })) + '</p>' : '') +
+        (entry.descHtml ? '<div class="sheet-desc">' + entry.descHtml + '</div>' : '') +
+        (links ? '<ul class="sheet-links">' + links + '</ul>' : '<p class="sheet-nolink">' + escapeHtml(t('sheet.noLink')) + '</p>') +
+        '</article>';
+    }).join('');
+  return entries.length;
+}
\ No newline at end of file
@@ -0,0 +1,197 @@
+// js/offer-timeline.js
+// Storico del catalogo offerte: consultazione degli snapshot archiviati da offers-archive.js
+// (window.CoolVoceOffersArchive) e dell'evoluzione di un singolo codice offerta.
+// - formatChange / describeDiff: testo delle differenze nella lingua corrente (i18n.js)
+// - createOfferTimeline(container, { archive }): rendering DOM (select snapshot + select offerta)
+
+import { escapeHtml } from './utils.js';
+import { formatPrice, formatDate, UNLIMITED } from './offer-format.js';
+import { t } from './i18n.js';
+
+// etichetta del campo nella lingua corrente (messaggi field.*); il nome del campo se non previsto
+export function fieldLabel(field) {
+  const label = t(`field.${field}`);
+  return label === `field.${field}` ? field : label;
+}
+
+export function formatFieldValue(field, value) {
+  if (value == null) return '—';
+  if (value === UNLIMITED) return t('format.unlimitedShort');
+  switch (field) {
+    case 'monthlyPrice':
+    case 'firstYearPrice':
+    case 'activationFee':
+      return typeof value === 'number' ? formatPrice(value) : String(value);
+    case 'expires':
+      return formatDate(value) || String(value);
+    default:
+      return Array.isArray(value) ? value.join(', ') : String(value);
+  }
+}
+
+// { field, from, to } -> "€/mese: 5.50€ → 6.90€"
+export function formatChange({ field, from, to }) {
+  return `${fieldLabel(field)}: ${formatFieldValue(field, from)} → ${formatFieldValue(field, to)}`;
+}
+
+// timestamp -> "22/10/2025 14:05"
+export function formatTimestamp(ts) {
+  const d = new Date(ts);
+  if (isNaN(d.getTime())) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * describeDiff(diff) -> string[]
+ * Una riga per offerta aggiunta, rimossa o modificata (con i campi cambiati), es.
+ * "EVO150_MNPGRT5: €/mese: 6.90€ → 5.90€", "EVOUNMNPATGRT rimossa".
+ */
+export function describeDiff(diff) {
+  if (!diff) return [];
+  const lines = [];
+  diff.added.forEach(key => lines.push(t('diff.added', { key })));
+  diff.removed.forEach(key => lines.push(t('diff.removed', { key })));
+  diff.changed.forEach(({ key, changes }) => lines.push(`${key}: ${changes.map(formatChange).join('; ')}`));
+  return lines;
+}
+
+// diff -> "1 nuova, 1 rimossa, 2 modificate" ('' se non ci sono differenze)
+export function summarizeDiff(diff) {
+  if (!diff) return '';
+  const part = (count, key) => (count ? t(key, { count }) : '');
+  return [
+    part(diff.added.length, 'summary.added'),
+    part(diff.removed.length, 'summary.removed'),
+    part(diff.changed.length, 'summary.changed')
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * createOfferTimeline(container, { archive }) -> { render, showSnapshot, showOffer, container }
+ * render() rilegge l'archivio e ridisegna mantenendo la selezione corrente (se ancora presente).
+ * showSnapshot(id): catalogo di quello snapshot + differenze rispetto al precedente.
+ * showOffer(key): evoluzione del codice attraverso tutti gli snapshot.
+ */
+export function createOfferTimeline(container, { archive = window.CoolVoceOffersArchive } = {}) {
+  if (!container) throw new Error('container is required for offer timeline');
+
+  const state = { snapshotId: null, offerKey: '' };
+
+  function getArchive() {
+    return archive || window.CoolVoceOffersArchive || null;
+  }
+
+  function snapshotHtml(id) {
+    const arc = getArchive();
+    const snap = arc.getSnapshot(id);
+    if (!snap) return '<p class="timeline-empty">' + escapeHtml(t('timeline.notFound')) + '</p>';
+    const diff = arc.snapshotDiff(id);
+    let html = '';
+    if (diff) {
+      const lines = describeDiff(diff);
+      html += '<h3 class="timeline-title">' + escapeHtml(t('timeline.changes')) + '</h3>';
+      html += lines.length
+        ? '<ul class="timeline-diff">' + lines.map(l => '<li>' + escapeHtml(l) + '</li>').join('') + '</ul>'
+        : '<p class="timeline-empty">' + escapeHtml(t('timeline.noChanges')) + '</p>';
+    } else {
+      html += '<p class="timeline-empty">' + escapeHtml(t('timeline.first')) + '</p>';
+    }
+    const keys = Object.keys(snap.offers);
+    html += '<h3 class="timeline-title">' + escapeHtml(t('timeline.catalogue', { count: keys.length })) + '</h3><ul class="timeline-offers">';
+    html += keys.map(key => {
+      const o = snap.offers[key] || {};
+      const details = [formatFieldValue('monthlyPrice', o.monthlyPrice), o.expires ? t('timeline.expires', { date: formatFieldValue('expires', o.expires) }) : '']
+        .filter(v => v && v !== '—').join(' · ');
+      return '<li><button type="button" class="timeline-offer-link" data-offer="' + escapeHtml(key) + '">' + escapeHtml(key) + '</button> ' +
+        escapeHtml(o.label || key) + (details ? ' <span class="timeline-meta">' + escapeHtml(details) + '</span>' : '') + '</li>';
+    }).join('');
+    return html + '</ul>';
+  }
+
+  function offerHtml(key) {
+    const entries = getArchive().offerTimeline(key);
+    if (entries.length === 0) return '<p class="timeline-empty">' + escapeHtml(t('timeline.noVersions', { key })) + '</p>';
+    return '<ol class="timeline-entries">' + entries.map(e => {
+      const body = e.type === 'changed'
+        ? '<ul>' + e.changes.map(c => '<li>' + escapeHtml(formatChange(c)) + '</li>').join('') + '</ul>'
+        : '<p>' + escapeHtml(e.offer.label || key) + (e.offer.monthlyPrice != null ? ' · ' + escapeHtml(formatFieldValue('monthlyPrice', e.offer.monthlyPrice)) : '') + '</p>';
+      return '<li class="timeline-entry timeline-' + e.type + '">' +
+        '<button type="button" class="timeline-snapshot-link" data-snapshot="' + escapeHtml(e.snapshotId) + '">' + escapeHtml(formatTimestamp(e.timestamp)) + '</button> ' +
+        '<span class="chip">' + escapeHtml(t(`timeline.type.${e.type}`)) + '</span>' + body + '</li>';
+    }).join('') + '</ol>';
+  }
+
+  function render() {
+    const arc = getArchive();
+    if (!arc) {
+      container.innerHTML = '<p class="timeline-empty">' + escapeHtml(t('timeline.unavailable')) + '</p>';
+      return 0;
+    }
+    const snapshots = arc.listSnapshots();
+    if (snapshots.length === 0) {
+      container.innerHTML = '<p class="timeline-empty">' + escapeHtml(t('timeline.empty')) + '</p>';
+      return 0;
+    }
+    if (!snapshots.some(s => s.id === state.snapshotId)) state.snapshotId = snapshots[snapshots.length - 1].id;
+    const keys = arc.knownOfferKeys();
+    if (state.offerKey && !keys.includes(state.offerKey)) state.offerKey = '';
+
+    const snapOptions = snapshots.slice().reverse().map(s =>
+      '<option value="' + escapeHtml(s.id) + '"' + (s.id === state.snapshotId ? ' selected' : '') + '>' +
+      escapeHtml(t('timeline.snapshotOption', { date: formatTimestamp(s.timestamp), count: s.count })) + '</option>').join('');
+    const offerOptions = '<option value="">' + escapeHtml(t('timeline.allOffers')) + '</option>' + keys.map(k =>
+      '<option value="' + escapeHtml(k) + '"' + (k === state.offerKey ? ' selected' : '') + '>' + escapeHtml(k) + '</option>').join('');
+
+    container.innerHTML =
+      '<div class="timeline-controls">' +
+        '<label>' + escapeHtml(t('timeline.snapshot')) + ' <select class="timeline-snapshot"' + (state.offerKey ? ' disabled' : '') + '>' + snapOptions + '</select></label>' +
+        '<label>' + escapeHtml(t('timeline.offer')) + ' <select class="timeline-offer">' + offerOptions + '</select></label>' +
+      '</div>' +
+      '<div class="timeline-body" aria-live="polite">' + (state.offerKey ? offerHtml(state.offerKey) : snapshotHtml(state.snapshotId)) + '</div>';
+    return snapshots.length;
+  }
+
+  function showSnapshot(id) {
+    state.snapshotId = id;
+    state.offerKey = '';
+    render();
+  }
+
+  function showOffer(key) {
+    state.offerKey = key || '';
+    render();
+  }
+
+  // il render sostituisce i controlli: il focus torna sulla select corrispondente
+  function focusControl(cls) {
+    const el = container.querySelector('.' + cls);
+    if (el) el.focus();
+  }
+
+  container.addEventListener('change', (ev) => {
+    const t = ev.target;
+    if (!t) return;
+    if (t.classList.contains('timeline-snapshot')) {
+      showSnapshot(t.value);
+      focusControl('timeline-snapshot');
+    } else if (t.classList.contains('timeline-offer')) {
+      showOffer(t.value);
+      focusControl('timeline-offer');
+    }
+  });
+
+  container.addEventListener('click', (ev) => {
+    const btn = ev.target && ev.target.closest ? ev.target.closest('button') : null;
+    if (!btn) return;
+    if (btn.classList.contains('timeline-offer-link')) {
+      showOffer(btn.dataset.offer);
+      focusControl('timeline-offer');
+    } else if (btn.classList.contains('timeline-snapshot-link')) {
+      showSnapshot(btn.dataset.snapshot);
+      focusControl('timeline-snapshot');
+    }
+  });
+
+  return { render, showSnapshot, showOffer, container };
+}
\ No newline at end of file
@@ -0,0 +1,150 @@
+// js/offers-archive.js
+// Archivio versionato dei cataloghi offerte (script classico, espone window.CoolVoceOffersArchive).
+// Usato da offers-loader.js: ogni volta che arriva un catalogo diverso dall'ultimo archiviato ne salva
+// uno snapshot in localStorage, così le offerte passate non vanno perse quando la cache viene sovrascritta.
+//
+// Snapshot: { id, timestamp, etag, lastModified, data } (data = JSON originale, come nella cache)
+// Gli snapshot sono ordinati dal più vecchio al più recente; oltre ARCHIVE_LIMIT si scartano i più vecchi.
+//
+// recordSnapshot(data, { timestamp, etag, lastModified }) -> { snapshot, previous, diff } | null (dati invariati)
+// listSnapshots() -> [{ id, timestamp, etag, lastModified, count }]
+// getSnapshot(id) -> { id, timestamp, etag, lastModified, data, offers } (offers validate con offers-schema.js)
+// diffCatalogues(prevOffers, nextOffers) -> { added: [key], removed: [key], changed: [{ key, changes: [{ field, from, to }] }] }
+// diffData(prevData, nextData) -> come diffCatalogues, ma su due cataloghi grezzi (v1 o v2)
+// offerTimeline(key) -> [{ snapshotId, timestamp, type: 'added' | 'removed' | 'changed', offer, changes }]
+
+(function () {
+  const ARCHIVE_KEY = 'coolvoce-offers-archive-v1';
+  const ARCHIVE_LIMIT = 100;
+  // campi confrontati tra due versioni della stessa offerta (status dipende dalla data: escluso)
+  const DIFF_FIELDS = ['label', 'monthlyPrice', 'firstYearPrice', 'gb', 'minutes', 'sms', 'activationFee', 'expires', 'simTypes', 'notes'];
+
+  function readArchive() {
+    try {
+      const raw = localStorage.getItem(ARCHIVE_KEY);
+      if (!raw) return [];
+      const parsed = JSON.parse(raw);
+      return Array.isArray(parsed) ? parsed.filter(s => s && s.id && s.data) : [];
+    } catch (e) {
+      console.warn('Error reading offers archive', e);
+      return [];
+    }
+  }
+
+  function writeArchive(snapshots) {
+    try {
+      localStorage.setItem(ARCHIVE_KEY, JSON.stringify(snapshots));
+      return true;
+    } catch (e) {
+      console.warn('Error writing offers archive', e);
+      return false;
+    }
+  }
+
+  // Offerte normalizzate di un catalogo grezzo (v1 o v2); senza schema usa i dati così come sono.
+  function toOffers(data) {
+    const schema = window.CoolVoceOffersSchema;
+    if (schema && typeof schema.validateOffers === 'function') return schema.validateOffers(data || {}).offers;
+    if (data && data.version === 2 && data.offers) return data.offers;
+    return data || {};
+  }
+
+  const same = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+  function diffOffer(prev, next) {
+    return DIFF_FIELDS
+      .filter(field => !same(prev[field], next[field]))
+      .map(field => ({ field, from: prev[field] === undefined ? null : prev[field], to: next[field] === undefined ? null : next[field] }));
+  }
+
+  function diffCatalogues(prevOffers, nextOffers) {
+    const prev = prevOffers || {};
+    const next = nextOffers || {};
+    const added = Object.keys(next).filter(k => !Object.prototype.hasOwnProperty.call(prev, k));
+    const removed = Object.keys(prev).filter(k => !Object.prototype.hasOwnProperty.call(next, k));
+    const changed = [];
+    Object.keys(next).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(prev, key)) return;
+      const changes = diffOffer(prev[key], next[key]);
+      if (changes.length) changed.push({ key, changes });
+    });
+    return { added, removed, changed };
+  }
+
+  function diffData(prevData, nextData) {
+    return diffCatalogues(toOffers(prevData), toOffers(nextData));
+  }
+
+  function isEmptyDiff(diff) {
+    return !diff || (diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0);
+  }
+
+  function recordSnapshot(data, { timestamp = Date.now(), etag = null, lastModified = null } = {}) {
+    const snapshots = readArchive();
+    const last = snapshots[snapshots.length - 1] || null;
+    if (last && same(last.data, data)) return null;
+    let id = String(timestamp);
+    if (snapshots.some(s => s.id === id)) id += '-' + snapshots.length;
+    const snapshot = { id, timestamp, etag: etag || null, lastModified: lastModified || null, data: data || {} };
+    snapshots.push(snapshot);
+    while (snapshots.length > ARCHIVE_LIMIT) snapshots.shift();
+    writeArchive(snapshots);
+    const diff = last ? diffData(last.data, snapshot.data) : null;
+    return { snapshot, previous: last, diff };
+  }
+
+  function listSnapshots() {
+    return readArchive().map(s => ({
+      id: s.id,
+      timestamp: s.timestamp,
+      etag: s.etag || null,
+      lastModified: s.lastModified || null,
+      count: Object.keys(toOffers(s.data)).length
+    }));
+  }
+
+  function getSnapshot(id) {
+    const s = readArchive().find(x => x.id === id);
+    return s ? Object.assign({}, s, { offers: toOffers(s.data) }) : null;
+  }
+
+  // Differenze tra uno snapshot e il precedente (null per il primo snapshot o id sconosciuto).
+  function snapshotDiff(id) {
+    const snapshots = readArchive();
+    const idx = snapshots.findIndex(s => s.id === id);
+    if (idx <= 0) return null;
+    return diffData(snapshots[idx - 1].data, snapshots[idx].data);
+  }
+
+  // Evoluzione di un codice offerta: una voce per ogni snapshot in cui compare, sparisce o cambia.
+  function offerTimeline(key) {
+    const entries = [];
+    let prev;
+    readArchive().forEach(s => {
+      const offers = toOffers(s.data);
+      const offer = Object.prototype.hasOwnProperty.call(offers, key) ? offers[key] : undefined;
+      if (offer && !prev) {
+        entries.push({ snapshotId: s.id, timestamp: s.timestamp, type: 'added', offer, changes: [] });
+      } else if (!offer && prev) {
+        entries.push({ snapshotId: s.id, timestamp: s.timestamp, type: 'removed', offer: prev, changes: [] });
+      } else if (offer && prev) {
+        const changes = diffOffer(prev, offer);
+        if (changes.length) entries.push({ snapshotId: s.id, timestamp: s.timestamp, type: 'changed', offer, changes });
+      }
+      prev = offer;
+    });
+    return entries;
+  }
+
+  // Tutti i codici mai comparsi nell'archivio (ordinati).
+  function knownOfferKeys() {
+    const keys = new Set();
+    readArchive().forEach(s => Object.keys(toOffers(s.data)).forEach(k => keys.add(k)));
+    return Array.from(keys).sort();
+  }
+
+  window.CoolVoceOffersArchive = {
+    ARCHIVE_KEY, ARCHIVE_LIMIT, DIFF_FIELDS,
+    recordSnapshot, listSnapshots, getSnapshot, snapshotDiff, offerTimeline, knownOfferKeys, diffCatalogues, diffData, isEmptyDiff
+  };
+})();
\ No newline at end of file
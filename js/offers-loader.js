@@ -1,182 +1,414 @@
 // js/offers-loader.js
-// Carica ../data/offers.json e deposita window.CoolVoceOffers.
-// Caching con ETag / Last-Modified salvati in localStorage e TTL (1 giorno).
-// Implementa background refresh: se cache è fresca serve immediatamente e in background
-// effettua una fetch condizionale per aggiornare la cache e notificare l'app con 'offers:updated'.
+// Caricamento del catalogo offerte (ES module).
+// createOffersLoader({ sources, ttl, timeout, storage }) -> { load, refresh, getOffers, getReport, subscribe }
 //
-// Comportamenti:
-// - file:// -> usa solo cache se presente (no network).
-// - cache entro TTL -> serve immediatamente (notify 'offers:loaded') e background refresh.
-// - cache scaduta o assente -> fetch condizionale e notify al termine.
-// - dispatcha sempre 'offers:loaded' (prima possibile) e dispatcha 'offers:updated' solo se i dati cambiano.
-
-(function () {
-  const JSON_PATH = new URL('../data/offers.json', document.baseURI).href;
-  const CACHE_KEY = 'coolvoce-offers-cache-v1';
-  const FETCH_TIMEOUT = 10000; // ms
-  const TTL_MS = 24 * 60 * 60 * 1000; // 1 day
-
-  function notifyLoaded() {
-    try { document.dispatchEvent(new CustomEvent('offers:loaded')); } catch (e) {}
+// Sorgenti: elenco ordinato di JSON (v1 o v2, vedi offers-schema.js), es. catalogo ufficiale + override locali.
+// Le sorgenti successive hanno la precedenza: una voce con lo stesso codice viene fusa campo per campo
+// sopra quella precedente, una voce `null` rimuove l'offerta. Le sorgenti `optional` possono mancare (404)
+// o non rispondere senza bloccare il caricamento.
+//
+// Caching con ETag / Last-Modified (per sorgente) in `storage` e TTL (default 1 giorno):
+// - file:// -> usa solo la cache se presente (no network).
+// - cache entro TTL -> load() risolve subito ('loaded') e lancia refresh() in background.
+// - cache scaduta o assente -> fetch condizionale di tutte le sorgenti, 'loaded' al termine
+//   (con `diff` se una cache scaduta viene sostituita da dati diversi); se una sorgente obbligatoria
+//   fallisce si usa la cache.
+// - refresh() notifica 'updated' solo se i dati cambiano, con `diff` rispetto alla cache e `snapshotId`.
+// - più schede: quando un'altra scheda riscrive la cache con dati diversi (evento `storage`), il catalogo
+//   viene applicato anche qui e notificato con 'updated' (reason 'sync'); disattivabile con `syncTabs: false`.
+// - ogni catalogo passa da CoolVoceOffersSchema.validateOffers (offers-schema.js) e ogni catalogo nuovo
+//   viene archiviato come snapshot (offers-archive.js) prima che la cache venga sovrascritta.
+//
+// startOffersLoader(options): shim di compatibilità usato da index.html; deposita window.CoolVoceOffers,
+// window.CoolVoceOffersReport e window.CoolVoceOffersLoader e dispatcha 'offers:loaded' / 'offers:updated'
+// su document come faceva il vecchio script classico.
+
+import { EVENTS } from './events.js';
+
+export const OFFERS_CACHE_KEY = 'coolvoce-offers-cache-v1';
+export const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 1 day
+export const DEFAULT_TIMEOUT = 10000; // ms
+export const DEFAULT_SOURCES = [{ url: new URL('../data/offers.json', import.meta.url).href, name: 'catalogo' }];
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function defaultStorage() {
+  try { return window.localStorage; } catch (e) { return null; }
+}
+
+// 'data/offers.json' | { url, name, optional } -> { url (assoluto), name, optional }
+function normalizeSources(sources) {
+  const list = Array.isArray(sources) ? sources : [sources];
+  return list.filter(Boolean).map((src, i) => {
+    const spec = typeof src === 'string' ? { url: src } : src;
+    const url = new URL(spec.url, document.baseURI).href;
+    return { url, name: spec.name || (i === 0 ? 'catalogo' : url), optional: !!spec.optional };
+  });
+}
+
+// v2 envelope o mappa v1 -> mappa codice -> voce
+function entriesOf(data) {
+  if (isPlainObject(data) && data.version === 2 && isPlainObject(data.offers)) return data.offers;
+  return isPlainObject(data) ? data : {};
+}
+
+/**
+ * mergeOfferSources(list) -> catalogo
+ * list: dati grezzi delle sorgenti in ordine di precedenza crescente.
+ * Con una sola sorgente i dati restano invariati; altrimenti il risultato è un envelope v2.
+ */
+export function mergeOfferSources(list) {
+  const present = (list || []).filter(d => d != null);
+  if (present.length === 0) return {};
+  if (present.length === 1) return present[0];
+  const offers = {};
+  present.forEach(data => {
+    const entries = entriesOf(data);
+    Object.keys(entries).forEach(key => {
+      const entry = entries[key];
+      if (entry === null) {
+        delete offers[key];
+        return;
+      }
+      const base = offers[key];
+      offers[key] = isPlainObject(base) && isPlainObject(entry) ? Object.assign({}, base, entry) : entry;
+    });
+  });
+  return { version: 2, offers };
+}
+
+function timeoutPromise(ms, promise) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('fetch timeout')), ms);
+    promise.then(res => { clearTimeout(timer); resolve(res); }, err => { clearTimeout(timer); reject(err); });
+  });
+}
+
+export function createOffersLoader({
+  sources = DEFAULT_SOURCES,
+  ttl = DEFAULT_TTL,
+  timeout = DEFAULT_TIMEOUT,
+  storage = defaultStorage(),
+  cacheKey = OFFERS_CACHE_KEY,
+  fetch: fetchImpl = null,
+  schema = null,
+  archive = null,
+  offline = location.protocol === 'file:',
+  syncTabs = true
+} = {}) {
+  const sourceList = normalizeSources(sources);
+  if (sourceList.length === 0) throw new Error('at least one offers source is required');
+
+  const listeners = new Set();
+  let offers = {};
+  let report = null;
+  let currentData = null; // JSON grezzo applicato per ultimo (confronti e diff)
+  let pendingRefresh = null;
+
+  // schema/archivio sono script classici: risolti a ogni uso, così l'ordine dei tag non conta
+  const getSchema = () => schema || window.CoolVoceOffersSchema || null;
+  const getArchive = () => archive || window.CoolVoceOffersArchive || null;
+  const doFetch = (url, opts) => (fetchImpl || window.fetch)(url, opts);
+
+  function emit(type, detail) {
+    listeners.forEach(fn => {
+      try { fn(type, detail); } catch (e) { console.warn('offers loader subscriber error', e); }
+    });
   }
-  function notifyUpdated(detail) {
-    try { document.dispatchEvent(new CustomEvent('offers:updated', { detail })); } catch (e) {}
+
+  // fn(type, detail) con type 'loaded' | 'updated'; restituisce la funzione per disiscriversi
+  function subscribe(fn) {
+    if (typeof fn !== 'function') return () => {};
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  // Valida il catalogo e aggiorna lo stato (solo le voci valide).
+  // La cache conserva il JSON originale: la validazione è ripetuta a ogni caricamento.
+  function applyOffers(data) {
+    currentData = data || {};
+    const s = getSchema();
+    if (!s || typeof s.validateOffers !== 'function') {
+      // schema non caricato: nessuna validazione
+      offers = data || {};
+      report = null;
+      return null;
+    }
+    const result = s.validateOffers(data || {});
+    offers = result.offers;
+    report = result.report;
+    if (report.issues.length) {
+      console.warn(`offers validation: ${report.accepted}/${report.total} accepted, ${report.dropped} dropped`, report.issues);
+    }
+    return report;
   }
 
   function readCache() {
+    if (!storage) return null;
     try {
-      const raw = localStorage.getItem(CACHE_KEY);
+      const raw = storage.getItem(cacheKey);
       if (!raw) return null;
-      return JSON.parse(raw);
+      const cached = JSON.parse(raw);
+      if (!isPlainObject(cached)) return null;
+      // cache del vecchio loader (una sola sorgente): attribuita alla sorgente principale
+      if (!isPlainObject(cached.sources) && cached.data) {
+        cached.sources = { [sourceList[0].url]: { etag: cached.etag || null, lastModified: cached.lastModified || null, data: cached.data } };
+      }
+      return cached;
     } catch (e) {
       console.warn('Error reading offers cache', e);
       return null;
     }
   }
 
-  function writeCache({ etag, lastModified, data, timestamp }) {
+  function writeCache({ data, sources: perSource, timestamp }) {
+    if (!storage) return;
     try {
+      const primary = perSource[sourceList[0].url] || {};
       const payload = {
-        etag: etag || null,
-        lastModified: lastModified || null,
+        etag: primary.etag || null,
+        lastModified: primary.lastModified || null,
         timestamp: timestamp || Date.now(),
-        data: data || {}
+        data: data || {},
+        sources: perSource
       };
-      localStorage.setItem(CACHE_KEY, JSON.stringify(payload));
+      storage.setItem(cacheKey, JSON.stringify(payload));
     } catch (e) {
       console.warn('Error writing offers cache', e);
     }
   }
 
-  function timeoutPromise(ms, promise) {
-    return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => reject(new Error('fetch timeout')), ms);
-      promise.then(res => { clearTimeout(timer); resolve(res); }, err => { clearTimeout(timer); reject(err); });
-    });
+  // Archivia il catalogo se diverso dall'ultimo snapshot; restituisce { snapshot, previous, diff } o null.
+  function archiveOffers(data, meta) {
+    const arc = getArchive();
+    if (!arc || typeof arc.recordSnapshot !== 'function' || !data) return null;
+    try {
+      return arc.recordSnapshot(data, meta);
+    } catch (e) {
+      console.warn('Error archiving offers snapshot', e);
+      return null;
+    }
+  }
+
+  // Diff tra il catalogo in cache e quello nuovo; null senza offers-archive.js o senza cache.
+  function diffOffers(prevData, nextData) {
+    const arc = getArchive();
+    if (!prevData || !arc || typeof arc.diffData !== 'function') return null;
+    try {
+      return arc.diffData(prevData, nextData);
+    } catch (e) {
+      console.warn('Error computing offers diff', e);
+      return null;
+    }
   }
 
-  async function fetchWithConditionalHeaders(url, cached) {
+  // -> { status: 'ok' | 'not-modified' | 'missing', etag, lastModified, data }
+  async function fetchSource(src, cachedSrc) {
     const headers = {};
-    if (cached) {
-      if (cached.etag) headers['If-None-Match'] = cached.etag;
-      if (cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+    if (cachedSrc) {
+      if (cachedSrc.etag) headers['If-None-Match'] = cachedSrc.etag;
+      if (cachedSrc.lastModified) headers['If-Modified-Since'] = cachedSrc.lastModified;
     }
-    const opts = { method: 'GET', headers: headers, cache: 'no-store' };
-    return timeoutPromise(FETCH_TIMEOUT, fetch(url, opts));
+    const res = await timeoutPromise(timeout, doFetch(src.url, { method: 'GET', headers, cache: 'no-store' }));
+    if (res.status === 200) {
+      return {
+        status: 'ok',
+        data: await res.json(),
+        etag: res.headers.get('ETag') || null,
+        lastModified: res.headers.get('Last-Modified') || null
+      };
+    }
+    if (res.status === 304) {
+      if (cachedSrc && cachedSrc.data) return Object.assign({ status: 'not-modified' }, cachedSrc);
+      throw new Error(`${src.url}: server returned 304 but no cached copy present`);
+    }
+    if (res.status === 404 && src.optional) return { status: 'missing' };
+    throw new Error(`${src.url}: unexpected HTTP status ${res.status} ${res.statusText || ''}`.trim());
   }
 
-  // Background refresh: performs conditional fetch and updates cache if needed.
-  async function backgroundRefresh(cached) {
-    try {
-      const res = await fetchWithConditionalHeaders(JSON_PATH, cached);
-      if (res.status === 200) {
-        const json = await res.json();
-        const etag = res.headers.get('ETag') || null;
-        const lastModified = res.headers.get('Last-Modified') || null;
-        // If content differs from cached.data, update and notify
-        const cachedStr = cached && cached.data ? JSON.stringify(cached.data) : null;
-        const newStr = JSON.stringify(json);
-        writeCache({ etag, lastModified, data: json, timestamp: Date.now() });
-        if (cachedStr !== newStr) {
-          window.CoolVoceOffers = json;
-          console.info('offers background refresh: new data loaded and cache updated');
-          notifyUpdated({ reason: 'fetched', etag, lastModified, timestamp: Date.now() });
-        } else {
-          // Data identical, just updated timestamp in cache above
-          console.info('offers background refresh: data unchanged; cache timestamp refreshed');
-        }
-      } else if (res.status === 304) {
-        // Not Modified - extend local timestamp so TTL resets
-        if (cached && cached.data) {
-          writeCache({ etag: cached.etag, lastModified: cached.lastModified, data: cached.data, timestamp: Date.now() });
-          console.info('offers background refresh: server 304 Not Modified - TTL refreshed');
-        } else {
-          console.warn('offers background refresh: server returned 304 but no cached data present');
-        }
-      } else {
-        console.warn('offers background refresh: unexpected HTTP status', res.status, res.statusText);
+  // Scarica tutte le sorgenti e le fonde. Una sorgente obbligatoria non disponibile fa fallire l'intero fetch;
+  // una opzionale irraggiungibile usa la sua copia in cache (se c'è), una opzionale assente (404) viene ignorata.
+  async function fetchAll(cached) {
+    const prev = (cached && cached.sources) || {};
+    const results = await Promise.all(sourceList.map(async (src) => {
+      try {
+        const r = await fetchSource(src, prev[src.url]);
+        return r.status === 'missing' ? null : { url: src.url, etag: r.etag || null, lastModified: r.lastModified || null, data: r.data };
+      } catch (err) {
+        if (!src.optional) throw err;
+        console.warn('offers: optional source unavailable', src.url, err);
+        return prev[src.url] ? Object.assign({ url: src.url }, prev[src.url]) : null;
       }
-    } catch (err) {
-      console.warn('offers background refresh: fetch failed', err);
-      // keep existing cache; nothing else to do
+    }));
+    const perSource = {};
+    const present = results.filter(Boolean);
+    present.forEach(r => { perSource[r.url] = { etag: r.etag, lastModified: r.lastModified, data: r.data }; });
+    const data = mergeOfferSources(present.map(r => r.data));
+    const primary = perSource[sourceList[0].url] || {};
+    return { data, sources: perSource, etag: primary.etag || null, lastModified: primary.lastModified || null };
+  }
+
+  // fetch + cache + archivio; -> { data, changed, diff, etag, lastModified, snapshotId }
+  async function fetchFresh(cached) {
+    const fresh = await fetchAll(cached);
+    const timestamp = Date.now();
+    const changed = !(cached && cached.data) || JSON.stringify(cached.data) !== JSON.stringify(fresh.data);
+    writeCache({ data: fresh.data, sources: fresh.sources, timestamp });
+    let archived = null;
+    let diff = null;
+    if (changed) {
+      archived = archiveOffers(fresh.data, { etag: fresh.etag, lastModified: fresh.lastModified, timestamp });
+      diff = diffOffers(cached && cached.data, fresh.data);
     }
+    return Object.assign(fresh, { changed, diff, timestamp, snapshotId: archived ? archived.snapshot.id : null });
   }
 
-  async function loadOffers() {
-    window.CoolVoceOffers = window.CoolVoceOffers || {};
+  /**
+   * refresh() -> Promise<{ changed, diff }>
+   * Fetch condizionale di tutte le sorgenti; se i dati cambiano aggiorna lo stato e notifica 'updated'.
+   * Non rigetta: in caso di errore la cache resta com'è (il risultato ha `error`).
+   */
+  function refresh() {
+    if (offline) return Promise.resolve({ changed: false, diff: null });
+    if (pendingRefresh) return pendingRefresh;
+    pendingRefresh = (async () => {
+      try {
+        const fresh = await fetchFresh(readCache());
+        // già applicato (es. arrivato nel frattempo da un'altra scheda): niente doppio 'updated'
+        if (!fresh.changed || JSON.stringify(fresh.data) === JSON.stringify(currentData)) {
+          console.info('offers refresh: data unchanged; cache timestamp refreshed');
+          return { changed: false, diff: null };
+        }
+        applyOffers(fresh.data);
+        console.info('offers refresh: new data loaded and cache updated');
+        emit('updated', {
+          reason: 'fetched',
+          etag: fresh.etag,
+          lastModified: fresh.lastModified,
+          timestamp: fresh.timestamp,
+          validation: report,
+          diff: fresh.diff,
+          snapshotId: fresh.snapshotId
+        });
+        return { changed: true, diff: fresh.diff };
+      } catch (err) {
+        console.warn('offers refresh: fetch failed', err);
+        return { changed: false, diff: null, error: err };
+      } finally {
+        pendingRefresh = null;
+      }
+    })();
+    return pendingRefresh;
+  }
+
+  /**
+   * load() -> Promise<{ offers, report, diff, source }>
+   * source: 'cache' | 'network' | 'empty'. Notifica sempre 'loaded' (anche in caso di errore).
+   */
+  async function load() {
     const cached = readCache();
+    // la cache esistente (anche di versioni precedenti all'archivio) diventa il primo snapshot
+    if (cached && cached.data) {
+      archiveOffers(cached.data, { etag: cached.etag, lastModified: cached.lastModified, timestamp: cached.timestamp || Date.now() });
+    }
 
-    // If running from file://, do not attempt network fetch (browsers block it).
-    if (location.protocol === 'file:') {
+    let source = 'empty';
+    let diff = null;
+    let background = false;
+    if (offline) {
+      // file:// -> i browser bloccano la fetch
       if (cached && cached.data) {
-        window.CoolVoceOffers = cached.data;
-        console.info('offers loaded from localStorage cache (file:// mode)');
+        applyOffers(cached.data);
+        source = 'cache';
+        console.info('offers loaded from cache (file:// mode)');
       } else {
         console.warn('Running via file:// and no cached offers available. Start a static server to enable fetch of data/offers.json.');
-        window.CoolVoceOffers = {};
+        applyOffers({});
       }
-      notifyLoaded();
-      return;
-    }
-
-    // If we have a cached copy that is still within TTL, serve it immediately
-    // and kick off a background refresh to check for updates.
-    if (cached && cached.timestamp && (Date.now() - cached.timestamp) < TTL_MS) {
-      window.CoolVoceOffers = cached.data || {};
+    } else if (cached && cached.data && cached.timestamp && (Date.now() - cached.timestamp) < ttl) {
+      applyOffers(cached.data);
+      source = 'cache';
+      background = true;
       console.info('offers loaded from cache (within TTL)');
-      notifyLoaded();
-      // Background refresh does not block UI
-      backgroundRefresh(cached);
-      return;
-    }
-
-    // Otherwise perform conditional fetch (If-None-Match / If-Modified-Since if available)
-    try {
-      const res = await fetchWithConditionalHeaders(JSON_PATH, cached);
-      if (res.status === 200) {
-        const json = await res.json();
-        const etag = res.headers.get('ETag') || null;
-        const lastModified = res.headers.get('Last-Modified') || null;
-        writeCache({ etag, lastModified, data: json, timestamp: Date.now() });
-        window.CoolVoceOffers = json;
-        console.info('offers loaded from', JSON_PATH, ' (ETag:', etag, ' Last-Modified:', lastModified, ')');
-      } else if (res.status === 304) {
-        // Not Modified - use cached data if present
+    } else {
+      try {
+        const fresh = await fetchFresh(cached);
+        applyOffers(fresh.data);
+        source = 'network';
+        if (fresh.changed) diff = fresh.diff;
+        console.info('offers loaded from', sourceList.map(s => s.url).join(', '));
+      } catch (err) {
+        console.warn('Impossibile caricare il catalogo offerte', err);
         if (cached && cached.data) {
-          window.CoolVoceOffers = cached.data;
-          // update timestamp to now since we validated it
-          writeCache({ etag: cached.etag, lastModified: cached.lastModified, data: cached.data, timestamp: Date.now() });
-          console.info('offers not modified - using cached copy (validated)');
+          applyOffers(cached.data);
+          source = 'cache';
+          console.info('offers loaded from cache after fetch error');
         } else {
-          window.CoolVoceOffers = {};
-          console.warn('Server returned 304 but no cached copy present');
-        }
-      } else {
-        console.warn('Unexpected HTTP status while loading offers:', res.status, res.statusText);
-        if (cached && cached.data) {
-          window.CoolVoceOffers = cached.data;
-          console.info('Using cached offers due to HTTP status');
-        } else {
-          window.CoolVoceOffers = {};
+          applyOffers({});
         }
       }
-    } catch (err) {
-      console.warn('Impossibile caricare', JSON_PATH, err);
-      // fallback to cached if available
-      if (cached && cached.data) {
-        window.CoolVoceOffers = cached.data;
-        console.info('offers loaded from localStorage cache after fetch error');
-      } else {
-        window.CoolVoceOffers = {};
-      }
-    } finally {
-      notifyLoaded();
     }
+
+    emit('loaded', { validation: report, diff, source });
+    // il refresh in background non blocca la UI
+    if (background) refresh();
+    return { offers, report, diff, source };
+  }
+
+  // Cache riscritta da un'altra scheda: si applica solo se i dati (non il solo timestamp) sono cambiati.
+  // L'archivio è già stato aggiornato dalla scheda che ha scaricato il catalogo.
+  function onStorage(ev) {
+    if (ev.key !== cacheKey || !ev.newValue) return;
+    let cached = null;
+    try { cached = JSON.parse(ev.newValue); } catch (e) { return; }
+    if (!isPlainObject(cached) || !cached.data) return;
+    if (currentData && JSON.stringify(cached.data) === JSON.stringify(currentData)) return;
+    const diff = diffOffers(currentData, cached.data);
+    applyOffers(cached.data);
+    console.info('offers updated from another tab');
+    emit('updated', {
+      reason: 'sync',
+      etag: cached.etag || null,
+      lastModified: cached.lastModified || null,
+      timestamp: cached.timestamp || Date.now(),
+      validation: report,
+      diff,
+      snapshotId: null
+    });
   }
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', loadOffers);
-  } else {
-    loadOffers();
+  if (syncTabs && storage && typeof window !== 'undefined' && storage === defaultStorage()) {
+    window.addEventListener('storage', onStorage);
   }
-})();
\ No newline at end of file
+
+  return {
+    load,
+    refresh,
+    subscribe,
+    getOffers: () => offers,
+    getReport: () => report,
+    sources: sourceList.map(s => Object.assign({}, s))
+  };
+}
+
+/**
+ * startOffersLoader(options) -> loader
+ * Compatibilità con il vecchio script classico: globali window.CoolVoceOffers / CoolVoceOffersReport
+ * aggiornati prima di ogni evento DOM 'offers:loaded' / 'offers:updated'. Il caricamento parte al
+ * DOMContentLoaded, dopo che gli altri moduli (link-controller) hanno registrato i listener.
+ */
+export function startOffersLoader(options = {}) {
+  const loader = createOffersLoader(options);
+  const eventNames = { loaded: EVENTS.OFFERS_LOADED, updated: EVENTS.OFFERS_UPDATED };
+  window.CoolVoceOffers = window.CoolVoceOffers || {};
+  window.CoolVoceOffersLoader = loader;
+  loader.subscribe((type, detail) => {
+    window.CoolVoceOffers = loader.getOffers();
+    window.CoolVoceOffersReport = loader.getReport();
+    try { document.dispatchEvent(new CustomEvent(eventNames[type], { detail })); } catch (e) {}
+  });
+  const start = () => { loader.load(); };
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start, { once: true });
+  else start();
+  return loader;
+}
\ No newline at end of file
@@ -0,0 +1,217 @@
+// js/offers-schema.js
+// Validazione e normalizzazione di data/offers.json (script classico, espone window.CoolVoceOffersSchema).
+// Usato da offers-loader.js prima di depositare window.CoolVoceOffers.
+//
+// Formato v2 (consigliato): { "version": 2, "offers": { "<CODICE>": { ...campi tipizzati } } }
+//   label           string (obbligatoria)
+//   monthlyPrice    number  €/mese a regime
+//   firstYearPrice  number  costo del primo anno (offerte "ANN"), opzionale
+//   gb, minutes, sms  number | "unlimited"
+//   activationFee   number  (0 = attivazione gratuita)
+//   expires         "YYYY-MM-DD"
+//   simTypes        ["SPEDIZIONE", "ESIM"] (sottoinsieme)
+//   notes           string[] righe libere mostrate dopo i campi tipizzati
+//   desc            string | string[] (legacy)
+// Formato v1 (legacy): { "<CODICE>": { "label": string, "desc"?: string | string[] } }
+//   le righe di `desc` con prezzo, GB/minuti/SMS, attivazione e scadenza vengono convertite nei
+//   campi tipizzati (MM/YYYY = ultimo giorno del mese); le righe non riconosciute finiscono in `notes`.
+//
+// Regole: chiave con lo stesso charset di normalizeOfferCode (A-Z a-z 0-9 - _); campi con tipo errato
+// o label mancante -> voce scartata; campi sconosciuti -> tenuti, ma segnalati con un warning.
+//
+// validateOffers(data, { now }) -> { offers, report }
+// report: { valid, format, total, accepted, dropped, active, expired, issues: [{ level, key, field, code, message }] }
+// level 'error' = voce scartata (o intero catalogo non valido), 'warning' = voce tenuta.
+// Ogni offerta accettata riceve `status`: 'active' | 'expired' | 'unknown' (senza scadenza), calcolato
+// da `expires` rispetto a `now` (default: adesso).
+
+(function () {
+  const KEY_RE = /^[A-Za-z0-9\-_]+$/;
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+  const SIM_TYPES = ['SPEDIZIONE', 'ESIM'];
+  const UNLIMITED = 'unlimited';
+
+  const isAmount = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+  const isQuantity = (v) => isAmount(v) || v === UNLIMITED;
+  const isStringList = (v) => Array.isArray(v) && v.every(d => typeof d === 'string');
+
+  function isIsoDate(v) {
+    if (typeof v !== 'string' || !DATE_RE.test(v)) return false;
+    const d = new Date(v + 'T00:00:00Z');
+    return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v;
+  }
+
+  // campi noti: tipo atteso e obbligatorietà
+  const FIELDS = {
+    label: { required: true, check: (v) => typeof v === 'string' && v.trim() !== '', expected: 'stringa non vuota' },
+    monthlyPrice: { required: false, check: isAmount, expected: 'numero >= 0' },
+    firstYearPrice: { required: false, check: isAmount, expected: 'numero >= 0' },
+    gb: { required: false, check: isQuantity, expected: 'numero >= 0 o "unlimited"' },
+    minutes: { required: false, check: isQuantity, expected: 'numero >= 0 o "unlimited"' },
+    sms: { required: false, check: isQuantity, expected: 'numero >= 0 o "unlimited"' },
+    activationFee: { required: false, check: isAmount, expected: 'numero >= 0' },
+    expires: { required: false, check: isIsoDate, expected: 'data YYYY-MM-DD' },
+    simTypes: { required: false, check: (v) => Array.isArray(v) && v.length > 0 && v.every(s => SIM_TYPES.indexOf(s) !== -1), expected: 'array con "SPEDIZIONE" e/o "ESIM"' },
+    notes: { required: false, check: isStringList, expected: 'array di stringhe' },
+    desc: { required: false, check: (v) => typeof v === 'string' || isStringList(v), expected: 'stringa o array di stringhe' }
+  };
+
+  const TYPED_FIELDS = ['monthlyPrice', 'firstYearPrice', 'gb', 'minutes', 'sms', 'activationFee', 'expires', 'simTypes'];
+
+  function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+  }
+
+  function issue(level, key, field, code, message) {
+    return { level, key, field, code, message };
+  }
+
+  const toNumber = (s) => Number(String(s).replace(',', '.'));
+  const pad = (n) => String(n).padStart(2, '0');
+
+  // "22/10/2025" -> "2025-10-22"; "12/2024" -> "2024-12-31" (ultimo giorno del mese)
+  function parseLegacyDate(text) {
+    let m = /(\d{1,2})\/(\d{1,2})\/(\d{4})/.exec(text);
+    if (m) {
+      const iso = `${m[3]}-${pad(m[2])}-${pad(m[1])}`;
+      return isIsoDate(iso) ? iso : null;
+    }
+    m = /(\d{1,2})\/(\d{4})/.exec(text);
+    if (m) {
+      const month = Number(m[1]);
+      if (month < 1 || month > 12) return null;
+      const lastDay = new Date(Date.UTC(Number(m[2]), month, 0)).getUTCDate();
+      return `${m[2]}-${pad(month)}-${pad(lastDay)}`;
+    }
+    return null;
+  }
+
+  // Estrae i campi tipizzati da una riga di descrizione legacy; {} se non riconosciuta.
+  function parseLegacyLine(line) {
+    const text = String(line);
+    const fields = {};
+    let m;
+
+    if (/SCADENZA/i.test(text)) {
+      const expires = parseLegacyDate(text);
+      if (expires) fields.expires = expires;
+      return fields;
+    }
+
+    // 📱 MIN ILL, 1000 SMS e 20GB
+    if (/MIN\s+ILL/i.test(text)) fields.minutes = UNLIMITED;
+    else if ((m = /(\d+)\s*MIN/i.exec(text))) fields.minutes = Number(m[1]);
+    if (/SMS\s+ILL/i.test(text)) fields.sms = UNLIMITED;
+    else if ((m = /(\d+)\s*SMS/i.exec(text))) fields.sms = Number(m[1]);
+    if (/GB\s+ILL/i.test(text)) fields.gb = UNLIMITED;
+    else if ((m = /(\d+)\s*GB/i.exec(text))) fields.gb = Number(m[1]);
+
+    // 💰 29.90€ 1° ANNO, poi 4.90€/mese | ATTIVAZIONE FREE
+    if ((m = /(\d+(?:[.,]\d+)?)\s*€\s*1°\s*ANNO/i.exec(text))) fields.firstYearPrice = toNumber(m[1]);
+    if ((m = /(\d+(?:[.,]\d+)?)\s*€\s*\/\s*mese/i.exec(text))) fields.monthlyPrice = toNumber(m[1]);
+    if (/ATTIVAZIONE\s+(FREE|GRATIS|GRATUITA)|NESSUN\s+COSTO/i.test(text)) fields.activationFee = 0;
+    else if ((m = /ATTIVAZIONE\s*:?\s*(\d+(?:[.,]\d+)?)\s*€/i.exec(text))) fields.activationFee = toNumber(m[1]);
+
+    return fields;
+  }
+
+  // Converte `desc` legacy in campi tipizzati + notes (righe non riconosciute).
+  function parseLegacyDesc(desc) {
+    const lines = Array.isArray(desc) ? desc : (typeof desc === 'string' ? desc.split('\n') : []);
+    const fields = {};
+    const notes = [];
+    lines.forEach(line => {
+      const parsed = parseLegacyLine(line);
+      if (Object.keys(parsed).length === 0) {
+        if (String(line).trim() !== '') notes.push(String(line));
+        return;
+      }
+      Object.keys(parsed).forEach(k => { if (fields[k] === undefined) fields[k] = parsed[k]; });
+    });
+    return { fields, notes };
+  }
+
+  // La scadenza è inclusiva: l'offerta vale fino alla fine del giorno indicato (ora locale).
+  function offerStatus(offer, now = new Date()) {
+    if (!offer || !isIsoDate(offer.expires)) return 'unknown';
+    const today = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    return offer.expires < today ? 'expired' : 'active';
+  }
+
+  // Voce valida -> voce normalizzata: i campi tipizzati espliciti vincono su quelli ricavati da desc.
+  function normalizeOffer(entry) {
+    const offer = Object.assign({}, entry);
+    const hasTyped = TYPED_FIELDS.some(f => entry[f] != null);
+    if (entry.desc != null && !hasTyped) {
+      const { fields, notes } = parseLegacyDesc(entry.desc);
+      Object.keys(fields).forEach(k => { if (offer[k] == null) offer[k] = fields[k]; });
+      if (offer.notes == null && Object.keys(fields).length > 0) offer.notes = notes;
+    }
+    return offer;
+  }
+
+  function validateEntry(key, entry) {
+    const issues = [];
+    if (!KEY_RE.test(key)) {
+      issues.push(issue('error', key, null, 'invalid-key', `Codice "${key}" con caratteri non ammessi`));
+      return issues;
+    }
+    if (!isPlainObject(entry)) {
+      issues.push(issue('error', key, null, 'invalid-entry', `L'offerta ${key} non è un oggetto`));
+      return issues;
+    }
+    Object.keys(FIELDS).forEach(field => {
+      const spec = FIELDS[field];
+      const has = Object.prototype.hasOwnProperty.call(entry, field) && entry[field] != null;
+      if (!has) {
+        if (spec.required) issues.push(issue('error', key, field, 'missing-field', `L'offerta ${key} non ha il campo obbligatorio "${field}"`));
+        return;
+      }
+      if (!spec.check(entry[field])) {
+        issues.push(issue('error', key, field, 'invalid-type', `L'offerta ${key}: "${field}" deve essere ${spec.expected}`));
+      }
+    });
+    Object.keys(entry).forEach(field => {
+      if (!Object.prototype.hasOwnProperty.call(FIELDS, field)) {
+        issues.push(issue('warning', key, field, 'unknown-field', `L'offerta ${key}: campo sconosciuto "${field}" (ignorato)`));
+      }
+    });
+    return issues;
+  }
+
+  // v2: envelope { version: 2, offers: {...} }; altrimenti mappa v1
+  function unwrap(data) {
+    if (isPlainObject(data) && data.version === 2 && isPlainObject(data.offers)) return { format: 2, entries: data.offers };
+    return { format: 1, entries: data };
+  }
+
+  function validateOffers(data, { now = new Date() } = {}) {
+    const { format, entries } = unwrap(data);
+    const report = { valid: true, format, total: 0, accepted: 0, dropped: 0, active: 0, expired: 0, issues: [] };
+    if (!isPlainObject(entries)) {
+      report.valid = false;
+      report.issues.push(issue('error', null, null, 'invalid-catalogue', 'Il catalogo offerte non è un oggetto JSON'));
+      return { offers: {}, report };
+    }
+    const offers = {};
+    Object.keys(entries).forEach(key => {
+      report.total++;
+      const issues = validateEntry(key, entries[key]);
+      report.issues.push(...issues);
+      if (issues.some(i => i.level === 'error')) {
+        report.dropped++;
+        return;
+      }
+      const offer = normalizeOffer(entries[key]);
+      offer.status = offerStatus(offer, now);
+      if (offer.status === 'expired') report.expired++;
+      else report.active++;
+      offers[key] = offer;
+      report.accepted++;
+    });
+    report.valid = report.dropped === 0;
+    return { offers, report };
+  }
+
+  window.CoolVoceOffersSchema = { validateOffers, normalizeOffer, parseLegacyDesc, offerStatus, FIELDS, TYPED_FIELDS, KEY_RE, UNLIMITED };
+})();
\ No newline at end of file
@@ -0,0 +1,113 @@
+// js/roving-focus.js
+// Roving tabindex per un elenco di elementi focusabili (le .link-box di #linksContainer):
+// un solo elemento (e i suoi controlli) resta nel giro del Tab, gli altri si raggiungono con le frecce.
+// - ↑ / ↓: elemento precedente / successivo; Home / End: primo / ultimo (solo elementi visibili)
+// - ← / →: dentro l'elemento, tra l'elemento stesso e i suoi controlli (pulsanti, link)
+// Si riallinea da solo (MutationObserver) quando gli elementi vengono aggiunti, rimossi o nascosti dai filtri.
+// API: createRovingFocus(container, { itemSelector, controlSelector }) -> { sync, focusItem, move, current, items, destroy }
+
+export function createRovingFocus(container, { itemSelector = '.link-box', controlSelector = 'button, a[href]' } = {}) {
+  if (!container) throw new Error('container is required for roving focus');
+
+  let current = null;
+
+  // elementi navigabili, in ordine DOM (quelli nascosti o in rimozione sono esclusi)
+  function items() {
+    return Array.from(container.querySelectorAll(itemSelector)).filter(it => !it.hidden && it.dataset.deleting !== '1');
+  }
+
+  function controlsOf(item) {
+    return Array.from(item.querySelectorAll(controlSelector));
+  }
+
+  function itemOf(el) {
+    const item = el && el.closest ? el.closest(itemSelector) : null;
+    return item && container.contains(item) ? item : null;
+  }
+
+  function setTabStops(item, inTabOrder) {
+    const value = inTabOrder ? 0 : -1;
+    if (item.tabIndex !== value) item.tabIndex = value;
+    controlsOf(item).forEach(el => { if (el.tabIndex !== value) el.tabIndex = value; });
+  }
+
+  // riallinea i tabindex; se l'elemento corrente non è più navigabile si passa al primo visibile
+  function sync() {
+    const list = items();
+    if (!current || list.indexOf(current) === -1) current = list[0] || null;
+    container.querySelectorAll(itemSelector).forEach(it => setTabStops(it, it === current));
+    return current;
+  }
+
+  function focusItem(item) {
+    if (!item) return null;
+    current = item;
+    sync();
+    item.focus();
+    return item;
+  }
+
+  // delta: +1 / -1; 'first' / 'last'
+  function move(delta) {
+    const list = items();
+    if (list.length === 0) return null;
+    if (delta === 'first') return focusItem(list[0]);
+    if (delta === 'last') return focusItem(list[list.length - 1]);
+    const index = list.indexOf(current);
+    const next = Math.min(list.length - 1, Math.max(0, (index === -1 ? 0 : index + delta)));
+    return focusItem(list[next]);
+  }
+
+  // ← / → tra l'elemento e i suoi controlli (con ritorno all'inizio)
+  function moveWithinItem(item, target, delta) {
+    const stops = [item].concat(controlsOf(item));
+    const index = stops.indexOf(target);
+    const next = stops[(index + delta + stops.length) % stops.length];
+    if (next) next.focus();
+  }
+
+  function isTextField(el) {
+    return !!el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName || ''));
+  }
+
+  function onKeydown(ev) {
+    if (ev.altKey || ev.ctrlKey || ev.metaKey || ev.shiftKey) return;
+    // nei campi dentro un elemento (es. l'editor della nota) le frecce muovono il cursore
+    if (isTextField(ev.target)) return;
+    const item = itemOf(ev.target);
+    if (!item) return;
+    switch (ev.key) {
+      case 'ArrowDown': ev.preventDefault(); current = item; move(1); break;
+      case 'ArrowUp': ev.preventDefault(); current = item; move(-1); break;
+      case 'Home': ev.preventDefault(); move('first'); break;
+      case 'End': ev.preventDefault(); move('last'); break;
+      case 'ArrowRight': ev.preventDefault(); moveWithinItem(item, ev.target, 1); break;
+      case 'ArrowLeft': ev.preventDefault(); moveWithinItem(item, ev.target, -1); break;
+      default: break;
+    }
+  }
+
+  // il focus arrivato con il mouse (o da codice) sposta anche il punto di ingresso del Tab
+  function onFocusin(ev) {
+    const item = itemOf(ev.target);
+    if (item && item !== current) {
+      current = item;
+      sync();
+    }
+  }
+
+  container.addEventListener('keydown', onKeydown);
+  container.addEventListener('focusin', onFocusin);
+
+  const observer = typeof MutationObserver === 'function' ? new MutationObserver(() => sync()) : null;
+  if (observer) observer.observe(container, { childList: true, subtree: true, attributes: true, attributeFilter: ['hidden', 'data-deleting'] });
+  sync();
+
+  function destroy() {
+    container.removeEventListener('keydown', onKeydown);
+    container.removeEventListener('focusin', onFocusin);
+    if (observer) observer.disconnect();
+  }
+
+  return { sync, focusItem, move, current: () => current, items, destroy };
+}
\ No newline at end of file
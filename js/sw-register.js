@@ -0,0 +1,22 @@
+// js/sw-register.js
+// Registrazione del service worker (sw.js nella cartella dell'app, scope = stessa cartella).
+// Nessuna registrazione su file:// o nei browser senza supporto; gli errori restano in console.
+
+export const SERVICE_WORKER_URL = new URL('../sw.js', import.meta.url).href;
+
+/**
+ * registerServiceWorker({ url }) -> Promise<ServiceWorkerRegistration | null>
+ * La registrazione parte dopo l'evento `load`, per non competere con il caricamento della pagina.
+ */
+export function registerServiceWorker({ url = SERVICE_WORKER_URL } = {}) {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return Promise.resolve(null);
+  if (location.protocol === 'file:') return Promise.resolve(null);
+  const register = () => navigator.serviceWorker.register(url).catch((err) => {
+    console.warn('service worker registration failed', err);
+    return null;
+  });
+  if (document.readyState === 'complete') return register();
+  return new Promise((resolve) => {
+    window.addEventListener('load', () => resolve(register()), { once: true });
+  });
+}
\ No newline at end of file
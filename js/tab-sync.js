@@ -0,0 +1,64 @@
+// js/tab-sync.js
+// Canale di messaggi tra le schede aperte dell'app (stessa origine).
+// Usa BroadcastChannel; dove manca ripiega sugli eventi `storage` di una chiave localStorage dedicata.
+// I messaggi non tornano mai alla scheda che li ha inviati.
+
+// identificativo di questa scheda (diagnostica: il mittente non riceve i propri messaggi)
+export const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * createTabChannel(name, { storageKey }) -> { post(message), subscribe(fn), close() }
+ * fn(message, { source }) viene chiamata per ogni messaggio inviato da un'altra scheda.
+ */
+export function createTabChannel(name, { storageKey = `${name}-sync` } = {}) {
+  const listeners = new Set();
+  let channel = null;
+
+  function dispatch(envelope) {
+    if (!envelope || envelope.source === TAB_ID || envelope.message === undefined) return;
+    listeners.forEach(fn => {
+      try { fn(envelope.message, { source: envelope.source }); } catch (e) { console.warn(`tab sync "${name}" listener error`, e); }
+    });
+  }
+
+  function onStorage(ev) {
+    if (ev.key !== storageKey || !ev.newValue) return;
+    try { dispatch(JSON.parse(ev.newValue)); } catch (e) { /* messaggio non valido: ignorato */ }
+  }
+
+  if (typeof BroadcastChannel === 'function') {
+    channel = new BroadcastChannel(name);
+    channel.onmessage = (ev) => dispatch(ev.data);
+  } else if (typeof window !== 'undefined') {
+    window.addEventListener('storage', onStorage);
+  }
+
+  function post(message) {
+    const envelope = { source: TAB_ID, message, ts: Date.now() };
+    try {
+      if (channel) {
+        channel.postMessage(envelope);
+      } else if (typeof localStorage !== 'undefined') {
+        // set + remove: l'evento `storage` scatta nelle altre schede anche per messaggi identici
+        localStorage.setItem(storageKey, JSON.stringify(envelope));
+        localStorage.removeItem(storageKey);
+      }
+    } catch (e) {
+      console.warn(`tab sync "${name}": post failed`, e);
+    }
+  }
+
+  function subscribe(fn) {
+    if (typeof fn !== 'function') return () => {};
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  function close() {
+    listeners.clear();
+    if (channel) channel.close();
+    else if (typeof window !== 'undefined') window.removeEventListener('storage', onStorage);
+  }
+
+  return { post, subscribe, close };
+}
\ No newline at end of file
@@ -1,14 +1,29 @@
 // js/theme-toggle.js
-// Robust theme toggle with persistence and optional conditional theme-file loading.
-// - saves choice in localStorage key 'cv-theme' ('dark'|'light')
-// - applies class on <html> and <body> for compatibility
-// - listens to system preference changes (when no explicit user choice)
-// - optionally loads /css/theme.dark.css or /css/theme.light.css if present
+// Theme menu with persistence, accent palettes and optional conditional theme-file loading.
+// - saves the preference in localStorage key 'cv-theme' ('system'|'light'|'dark'|'contrast');
+//   'system' (or no value) follows prefers-color-scheme, also when it changes later
+// - applies classes on <html> and <body> for compatibility ('dark'; 'contrast' adds 'dark' too)
+// - optionally loads /css/theme.dark.css, /css/theme.light.css or /css/theme.contrast.css if present
+// - accent palette in 'cv-accent' ({ primary, secondary } as #rrggbb): CSS variables generated on top of
+//   theme.css (<style id="cv-accent-style">), ignored in high contrast. The inline script in index.html
+//   applies both before first paint: keep the two in sync.
+// - API: window.CoolVoceTheme (see the bottom of the file); 'theme:changed' on document (EVENTS.THEME_CHANGED)
 
 (function () {
   const KEY = 'cv-theme';
+  const ACCENT_KEY = 'cv-accent';
   const THEME_FILE_ID = 'cv-theme-file';
+  const ACCENT_STYLE_ID = 'cv-accent-style';
   const THEME_PATH = '/css/theme.'; // e.g. /css/theme.dark.css or /css/theme.light.css
+  const THEMES = ['system', 'light', 'dark', 'contrast'];
+  // palette predefinite (null = colori di theme.css)
+  const ACCENT_PRESETS = {
+    coop: null,
+    ocean: { primary: '#0077cc', secondary: '#00897b' },
+    violet: { primary: '#7b1fa2', secondary: '#c2185b' },
+    sunset: { primary: '#e65100', secondary: '#ad1457' }
+  };
+  const HEX = /^#[0-9a-f]{6}$/i;
 
   // Safe DOM ready helper
   function onDOMReady(fn) {
@@ -53,23 +68,38 @@
     }
   }
 
-  // Apply theme class and optionally try to load theme file (async)
-  async function applyTheme(theme, { tryLoadFile = true } = {}) {
-    const isDark = theme === 'dark';
+  function systemTheme() {
+    return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  }
+
+  // Stored preference: 'system' when missing or unknown
+  function getThemePreference() {
     try {
-      document.documentElement.classList.toggle('dark', isDark);
+      const stored = localStorage.getItem(KEY);
+      if (THEMES.indexOf(stored) !== -1) return stored;
     } catch (e) {}
+    return 'system';
+  }
+
+  // Effective theme ('light' | 'dark' | 'contrast'): preference resolved against the system setting
+  function resolveTheme(preference) {
+    return preference === 'system' ? systemTheme() : preference;
+  }
+
+  function setClasses(el, theme) {
+    el.classList.toggle('dark', theme === 'dark' || theme === 'contrast');
+    el.classList.toggle('contrast', theme === 'contrast');
+  }
+
+  // Apply theme classes and optionally try to load theme file (async). Does not persist anything.
+  async function applyTheme(theme, { tryLoadFile = true } = {}) {
+    try { setClasses(document.documentElement, theme); } catch (e) {}
     try {
-      if (document.body) document.body.classList.toggle('dark', isDark);
-      else document.addEventListener('DOMContentLoaded', () => document.body.classList.toggle('dark', isDark), { once: true });
+      if (document.body) setClasses(document.body, theme);
+      else document.addEventListener('DOMContentLoaded', () => setClasses(document.body, theme), { once: true });
     } catch (e) {}
 
-    // set aria-pressed for the button if present
-    const btn = document.getElementById('themeToggle');
-    if (btn) btn.setAttribute('aria-pressed', isDark ? 'true' : 'false');
-
-    // persist choice
-    try { localStorage.setItem(KEY, theme); } catch (e) {}
+    syncMenu();
 
     if (tryLoadFile) {
       // Attempt to load an explicit theme file (optional). If missing, remove silently.
@@ -81,39 +111,167 @@
     }
   }
 
-  // Determine effective theme: saved preference or system preference
-  function getStoredTheme() {
+  // ---- Accent palette ----
+  function normalizeAccent(accent) {
+    if (!accent || !HEX.test(accent.primary) || !HEX.test(accent.secondary)) return null;
+    return { primary: accent.primary.toLowerCase(), secondary: accent.secondary.toLowerCase() };
+  }
+
+  function getAccent() {
+    try { return normalizeAccent(JSON.parse(localStorage.getItem(ACCENT_KEY) || 'null')); } catch (e) { return null; }
+  }
+
+  // variables overriding theme.css / theme.*.css (html.dark, body.dark), but not the high-contrast palette
+  function accentCss(accent) {
+    const p = accent.primary;
+    const s = accent.secondary;
+    return 'html[data-accent]:not(.contrast), html[data-accent]:not(.contrast) body {' +
+      ` --green: ${p}; --red: ${s}; --button-gradient: linear-gradient(90deg, ${p}, ${s});` +
+      ` --badge-bg: ${s}; --focus-ring: ${p}29; }`;
+  }
+
+  function applyAccent(accent) {
+    const root = document.documentElement;
+    let style = document.getElementById(ACCENT_STYLE_ID);
+    if (!accent) {
+      root.removeAttribute('data-accent');
+      if (style) style.parentNode.removeChild(style);
+      return;
+    }
+    if (!style) {
+      style = document.createElement('style');
+      style.id = ACCENT_STYLE_ID;
+      (document.head || root).appendChild(style);
+    }
+    style.textContent = accentCss(accent);
+    root.setAttribute('data-accent', '');
+  }
+
+  // setAccent({ primary, secondary }) | setAccent(null) for the theme.css colours
+  function setAccent(accent) {
+    const normalized = normalizeAccent(accent);
     try {
-      const stored = localStorage.getItem(KEY);
-      if (stored === 'dark' || stored === 'light') return stored;
+      if (normalized) localStorage.setItem(ACCENT_KEY, JSON.stringify(normalized));
+      else localStorage.removeItem(ACCENT_KEY);
     } catch (e) {}
-    if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) return 'dark';
-    return 'light';
+    applyAccent(normalized);
+    syncMenu();
+    notify();
+    return normalized;
   }
 
-  // Listen to system changes only if user hasn't set an explicit preference
+  // ---- Preference ----
+  function setTheme(preference) {
+    if (THEMES.indexOf(preference) === -1) return getThemePreference();
+    try { localStorage.setItem(KEY, preference); } catch (e) {}
+    applyTheme(resolveTheme(preference), { tryLoadFile: true });
+    notify();
+    return preference;
+  }
+
+  // next preference in menu order (system -> light -> dark -> contrast -> system)
+  function cycleTheme() {
+    const index = THEMES.indexOf(getThemePreference());
+    return setTheme(THEMES[(index + 1) % THEMES.length]);
+  }
+
+  function notify() {
+    try {
+      document.dispatchEvent(new CustomEvent('theme:changed', {
+        detail: { preference: getThemePreference(), theme: resolveTheme(getThemePreference()), accent: getAccent() }
+      }));
+    } catch (e) {}
+  }
+
+  // Follow system changes only while the preference is 'system'
   function watchSystemThemeChanges() {
     try {
       if (!window.matchMedia) return;
       const m = window.matchMedia('(prefers-color-scheme: dark)');
       m.addEventListener ? m.addEventListener('change', onChange) : m.addListener(onChange);
       function onChange(e) {
-        // only apply if user didn't set an explicit theme
-        try {
-          const stored = localStorage.getItem(KEY);
-          if (stored === 'dark' || stored === 'light') return;
-        } catch (err) { /* ignore */ }
-        const theme = e.matches ? 'dark' : 'light';
-        applyTheme(theme, { tryLoadFile: true });
+        if (getThemePreference() !== 'system') return;
+        applyTheme(e.matches ? 'dark' : 'light', { tryLoadFile: true });
+        notify();
       }
     } catch (e) { /* ignore */ }
   }
 
-  // Toggle handler
-  function toggleTheme() {
-    const currentIsDark = document.documentElement.classList.contains('dark') || (document.body && document.body.classList.contains('dark'));
-    const next = currentIsDark ? 'light' : 'dark';
-    applyTheme(next, { tryLoadFile: true });
+  // ---- Theme menu (#themeMenu, opened by #themeToggle) ----
+  function getMenu() {
+    return document.getElementById('themeMenu');
+  }
+
+  // reflect the current preference / palette in the menu controls
+  function syncMenu() {
+    const menu = getMenu();
+    if (!menu) return;
+    const preference = getThemePreference();
+    menu.querySelectorAll('input[name="themeChoice"]').forEach(input => { input.checked = input.value === preference; });
+    const accent = getAccent();
+    const primary = menu.querySelector('#accentPrimary');
+    const secondary = menu.querySelector('#accentSecondary');
+    if (primary) primary.value = accent ? accent.primary : '#00b25c';
+    if (secondary) secondary.value = accent ? accent.secondary : '#b30000';
+    menu.querySelectorAll('[data-accent-preset]').forEach(btn => {
+      const preset = ACCENT_PRESETS[btn.dataset.accentPreset];
+      const active = preset === null ? !accent : !!(preset && accent && preset.primary === accent.primary && preset.secondary === accent.secondary);
+      btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+  }
+
+  function openMenu(button) {
+    const menu = getMenu();
+    if (!menu) return;
+    syncMenu();
+    menu.hidden = false;
+    button.setAttribute('aria-expanded', 'true');
+    const checked = menu.querySelector('input[name="themeChoice"]:checked') || menu.querySelector('input, button');
+    if (checked) checked.focus();
+  }
+
+  function closeMenu(button, { restoreFocus = true } = {}) {
+    const menu = getMenu();
+    if (!menu || menu.hidden) return;
+    menu.hidden = true;
+    button.setAttribute('aria-expanded', 'false');
+    if (restoreFocus) button.focus();
+  }
+
+  function initMenu(button, menu) {
+    // preset swatches show their own colours
+    menu.querySelectorAll('[data-accent-preset]').forEach(btn => {
+      const preset = ACCENT_PRESETS[btn.dataset.accentPreset];
+      if (preset) btn.style.background = `linear-gradient(90deg, ${preset.primary}, ${preset.secondary})`;
+    });
+
+    menu.addEventListener('change', (ev) => {
+      const target = ev.target;
+      if (target && target.name === 'themeChoice') setTheme(target.value);
+    });
+    // custom palette: live preview while picking
+    menu.addEventListener('input', (ev) => {
+      const target = ev.target;
+      if (!target || (target.id !== 'accentPrimary' && target.id !== 'accentSecondary')) return;
+      const primary = menu.querySelector('#accentPrimary');
+      const secondary = menu.querySelector('#accentSecondary');
+      setAccent({ primary: primary.value, secondary: secondary.value });
+    });
+    menu.addEventListener('click', (ev) => {
+      const btn = ev.target && ev.target.closest ? ev.target.closest('[data-accent-preset]') : null;
+      if (btn) setAccent(ACCENT_PRESETS[btn.dataset.accentPreset] || null);
+    });
+    menu.addEventListener('keydown', (ev) => {
+      if (ev.key === 'Escape') {
+        ev.preventDefault();
+        closeMenu(button);
+      }
+    });
+    // click outside closes the menu (focus stays where the user clicked)
+    document.addEventListener('click', (ev) => {
+      if (menu.hidden || menu.contains(ev.target) || button.contains(ev.target)) return;
+      closeMenu(button, { restoreFocus: false });
+    });
   }
 
   // Initialize: ensure button exists, set initial state, attach listener(s)
@@ -130,34 +288,49 @@
       });
       obs.observe(document.documentElement || document, { childList: true, subtree: true });
       // still apply initial theme even without a button
-      applyTheme(getStoredTheme(), { tryLoadFile: true });
+      applyTheme(resolveTheme(getThemePreference()), { tryLoadFile: true });
+      applyAccent(getAccent());
       watchSystemThemeChanges();
       return;
     }
     initButton(button);
-    applyTheme(getStoredTheme(), { tryLoadFile: true });
+    applyTheme(resolveTheme(getThemePreference()), { tryLoadFile: true });
+    applyAccent(getAccent());
     watchSystemThemeChanges();
   });
 
   function initButton(button) {
-    // set initial aria state
-    try {
-      button.setAttribute('aria-pressed', getStoredTheme() === 'dark' ? 'true' : 'false');
-    } catch (e) {}
+    const menu = getMenu();
+    // without the menu markup the button keeps the old behaviour (light <-> dark)
+    if (!menu) {
+      button.addEventListener('click', (ev) => {
+        ev.preventDefault();
+        setTheme(resolveTheme(getThemePreference()) === 'dark' ? 'light' : 'dark');
+      });
+      return;
+    }
 
-    // attach click
+    button.setAttribute('aria-expanded', 'false');
+    button.setAttribute('aria-controls', menu.id);
+    initMenu(button, menu);
+
+    // a native <button> also fires click for Enter/Space
     button.addEventListener('click', (ev) => {
       ev.preventDefault();
-      toggleTheme();
-    });
-
-    // allow keyboard activation (Space/Enter)
-    button.addEventListener('keydown', (ev) => {
-      if (ev.key === ' ' || ev.key === 'Spacebar' || ev.key === 'Enter') {
-        ev.preventDefault();
-        toggleTheme();
-      }
+      if (menu.hidden) openMenu(button);
+      else closeMenu(button);
     });
   }
 
+  window.CoolVoceTheme = {
+    THEMES,
+    ACCENT_PRESETS,
+    getThemePreference,
+    getTheme: () => resolveTheme(getThemePreference()),
+    setTheme,
+    cycleTheme,
+    getAccent,
+    setAccent,
+    loadThemeFile
+  };
 })();
\ No newline at end of file
@@ -0,0 +1,66 @@
+// js/undo-toast.js
+// Toast "annulla" per azioni distruttive (rimozione singola, svuota elenco).
+// Una sola azione annullabile alla volta: una nuova azione sostituisce la precedente.
+// API: createUndoToast({ timeoutMs, parent, actionLabel }) -> { show, trigger, dismiss, isPending, setActionLabel, element }
+
+export function createUndoToast({ timeoutMs = 5000, parent = document.body, actionLabel = 'ANNULLA' } = {}) {
+  let pending = null; // { undo, timer }
+
+  const el = document.createElement('div');
+  el.className = 'undo-toast';
+  el.hidden = true;
+  // la durata della barra di avanzamento segue il timeout configurato
+  el.style.setProperty('--undo-timeout', `${timeoutMs}ms`);
+
+  const message = document.createElement('span');
+  message.className = 'undo-message';
+
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'undo-btn';
+  btn.textContent = actionLabel;
+  btn.setAttribute('aria-keyshortcuts', 'Control+Z Meta+Z');
+  btn.addEventListener('click', () => { trigger(); });
+
+  const progress = document.createElement('span');
+  progress.className = 'undo-progress';
+  progress.setAttribute('aria-hidden', 'true');
+
+  el.appendChild(message);
+  el.appendChild(btn);
+  el.appendChild(progress);
+  parent.appendChild(el);
+
+  function dismiss() {
+    if (pending) clearTimeout(pending.timer);
+    pending = null;
+    el.hidden = true;
+    el.classList.remove('running');
+  }
+
+  // show(text, undoFn): undoFn può essere async; resta disponibile per timeoutMs
+  function show(text, undo) {
+    dismiss();
+    message.textContent = text;
+    pending = { undo, timer: setTimeout(dismiss, timeoutMs) };
+    el.hidden = false;
+    // riavvia l'animazione della barra
+    void el.offsetWidth;
+    el.classList.add('running');
+  }
+
+  async function trigger() {
+    if (!pending) return false;
+    const { undo } = pending;
+    dismiss();
+    try { await undo(); } catch (e) { console.warn('undo failed', e); return false; }
+    return true;
+  }
+
+  function isPending() { return !!pending; }
+
+  // testo del pulsante (es. al cambio lingua)
+  function setActionLabel(label) { btn.textContent = label; }
+
+  return { show, trigger, dismiss, isPending, setActionLabel, element: el };
+}
\ No newline at end of file
@@ -28,6 +28,25 @@ export async function copyToClipboard(text) {
   }
 }
 
+// scarica `content` come file (Blob + <a download>), senza servizi esterni
+export function downloadFile(filename, content, mime = 'text/plain') {
+  try {
+    const blob = new Blob([content], { type: `${mime};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
 export function ensureAriaLive() {
   let region = document.getElementById('cv-aria-live');
   if (!region) {
@@ -0,0 +1,168 @@
+// sw.js
+// Service worker: l'app resta utilizzabile senza rete (es. al banco del negozio).
+// - install: precache della shell (index.html, css, js, icone) e di data/offers.json
+// - file dell'app: serviti dalla cache e aggiornati in background (stale-while-revalidate);
+//   le navigazioni verso la pagina ricevono index.html dalla cache (anche con parametri in query)
+// - data/*.json: network-first con la stessa revalidazione ETag / Last-Modified del loader;
+//   senza rete si usa l'ultima copia in cache
+//
+// Aggiornare CACHE_VERSION (e PRECACHE) quando si aggiungono, rinominano o rimuovono file dell'app:
+// la nuova versione sostituisce la cache statica precedente all'attivazione.
+
+const CACHE_VERSION = 'v11';
+const STATIC_CACHE = `coolvoce-static-${CACHE_VERSION}`;
+// la copia del catalogo non dipende dalla versione dell'app: sopravvive agli aggiornamenti
+const DATA_CACHE = 'coolvoce-data';
+
+const PRECACHE = [
+  './index.html',
+  './manifest.webmanifest',
+  './css/theme.css',
+  './css/theme.dark.css',
+  './css/theme.light.css',
+  './css/theme.contrast.css',
+  './css/style.css',
+  './css/print.css',
+  './icons/icon-192.png',
+  './icons/icon-512.png',
+  './js/vendor/purify.min.js',
+  './js/vendor/qrcode.min.js',
+  './js/offers-schema.js',
+  './js/offers-archive.js',
+  './js/theme-toggle.js',
+  './js/events.js',
+  './js/utils.js',
+  './js/i18n.js',
+  './js/locales/it.js',
+  './js/locales/en.js',
+  './js/link-creator.js',
+  './js/link-store.js',
+  './js/history-adapters.js',
+  './js/history-io.js',
+  './js/link-renderer.js',
+  './js/link-filter.js',
+  './js/undo-toast.js',
+  './js/roving-focus.js',
+  './js/command-palette.js',
+  './js/link-qr.js',
+  './js/link-notes.js',
+  './js/link-deeplink.js',
+  './js/link-share.js',
+  './js/offer-format.js',
+  './js/offer-compare.js',
+  './js/offer-timeline.js',
+  './js/offer-sheet.js',
+  './js/link-batch.js',
+  './js/offers-loader.js',
+  './js/tab-sync.js',
+  './js/sw-register.js',
+  './js/link-controller.js'
+];
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+const INDEX_URL = scopeUrl('./index.html');
+const OFFERS_URL = scopeUrl('./data/offers.json');
+
+function isDataRequest(url) {
+  return url.href.startsWith(scopeUrl('./data/')) && url.pathname.endsWith('.json');
+}
+
+function isAppNavigation(request, url) {
+  if (request.mode !== 'navigate') return false;
+  const path = url.origin + url.pathname;
+  return path === scopeUrl('./') || path === INDEX_URL;
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(STATIC_CACHE);
+    await cache.addAll(PRECACHE);
+    // il catalogo è precaricato ma non blocca l'installazione (il loader ha comunque la sua cache)
+    try {
+      const data = await caches.open(DATA_CACHE);
+      await data.add(new Request(OFFERS_URL, { cache: 'no-store' }));
+    } catch (err) {
+      console.warn('sw: offers precache failed', err);
+    }
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(key => key.startsWith('coolvoce-static-') && key !== STATIC_CACHE)
+      .map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (isDataRequest(url)) {
+    event.respondWith(handleData(request, url));
+  } else if (isAppNavigation(request, url)) {
+    event.respondWith(staleWhileRevalidate(event, request, INDEX_URL));
+  } else if (url.href.startsWith(self.registration.scope)) {
+    event.respondWith(staleWhileRevalidate(event, request, request));
+  }
+});
+
+// Cache-first; la risposta di rete aggiorna la cache per il prossimo caricamento.
+async function staleWhileRevalidate(event, request, cacheKey) {
+  const cache = await caches.open(STATIC_CACHE);
+  const cached = await cache.match(cacheKey, { ignoreSearch: true });
+  const network = fetch(request).then(res => {
+    if (res.ok && res.type === 'basic') {
+      const copy = res.clone();
+      event.waitUntil(cache.put(cacheKey, copy));
+    }
+    return res;
+  });
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+// Network-first con richiesta condizionale:
+// - se la pagina (offers-loader) manda già If-None-Match / If-Modified-Since, il 304 le viene girato
+//   così com'è (ha la sua copia in localStorage);
+// - altrimenti si usano ETag / Last-Modified della copia in cache e un 304 restituisce quella copia.
+// Ogni 200 aggiorna la cache; un 404 la svuota (sorgente rimossa, es. override locali).
+async function handleData(request, url) {
+  const cache = await caches.open(DATA_CACHE);
+  const cacheKey = url.origin + url.pathname;
+  const cached = await cache.match(cacheKey);
+  const headers = new Headers(request.headers);
+  const conditionalFromPage = headers.has('If-None-Match') || headers.has('If-Modified-Since');
+  if (!conditionalFromPage && cached) {
+    const etag = cached.headers.get('ETag');
+    const lastModified = cached.headers.get('Last-Modified');
+    if (etag) headers.set('If-None-Match', etag);
+    if (lastModified) headers.set('If-Modified-Since', lastModified);
+  }
+  try {
+    const res = await fetch(cacheKey, { method: 'GET', headers, cache: 'no-store' });
+    if (res.status === 200) {
+      await cache.put(cacheKey, res.clone());
+      return res;
+    }
+    if (res.status === 304) {
+      if (!conditionalFromPage && cached) return cached;
+      return res;
+    }
+    if (res.status === 404) await cache.delete(cacheKey);
+    return res;
+  } catch (err) {
+    // offline: ultima copia nota (200), il loader la confronta con la sua cache
+    if (cached) return cached;
+    return new Response('', { status: 504, statusText: 'Offline' });
+  }
+}
\ No newline at end of file